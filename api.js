@@ -1,14 +1,24 @@
 'use strict';
 
 module.exports = {
-  async getScripts({ homey, query }) {
-    const scripts = await homey.app.getScripts();
+  async getScripts({ homey, query = {} }) {
+    const {
+      folder, tag, enabled, q,
+    } = query;
+
+    const scripts = await homey.app.getScripts({
+      folder,
+      tag,
+      enabled: enabled != null ? enabled === 'true' : undefined,
+      query: q,
+    });
     const response = {};
 
     for (const script of Object.values(scripts)) {
       response[script.id] = {
         ...script,
         code: undefined,
+        nextRun: homey.app.getScriptNextRun({ id: script.id }),
       };
     }
 
@@ -22,7 +32,15 @@ module.exports = {
 
   async runScript({ homey, params, body = {} }) {
     const { id } = params;
-    const { code, args } = body;
+    const {
+      code, args, params: namedParams, dryRun = false,
+    } = body;
+
+    // Calls intercepted during a dry run
+    const dryRunCalls = [];
+
+    // The code can be overridden, so values of secrets must not leave through the response either
+    const redact = homey.app.createSecretRedactor();
 
     try {
       const script = await homey.app.getScript({ id });
@@ -33,43 +51,329 @@ module.exports = {
         code: code || script.code,
         lastExecuted: script.lastExecuted,
         args,
+        params: namedParams,
+        source: 'api',
+        dryRun: !!dryRun,
+        dryRunCalls,
       }).finally(() => {
+        if (dryRun) return;
         homey.app.updateScript({ id: script.id, lastExecuted: new Date() }).catch(() => {});
       });
 
       return {
         success: true,
-        returns: result,
+        returns: redact(result),
+        calls: dryRun ? redact(dryRunCalls) : undefined,
       };
     } catch (err) {
       return {
         success: false,
         returns: {
-          message: err.message,
-          stack: err.stack,
+          message: redact(err.message),
+          stack: redact(err.stack),
+          code: err.code,
         },
+        calls: dryRun ? redact(dryRunCalls) : undefined,
       };
     }
   },
 
+  async exportScript({ homey, params }) {
+    const { id } = params;
+    return homey.app.exportScript({ id });
+  },
+
+  async validateScript({ homey, params, body = {} }) {
+    const { id } = params;
+    const { code, language } = body;
+
+    return homey.app.validateScript({ id, code, language });
+  },
+
+  async stopScript({ homey, params, body = {} }) {
+    const { id } = params;
+    const { runId } = body;
+
+    return homey.app.stopScript({ id, runId });
+  },
+
+  async enableScriptWebhook({ homey, params }) {
+    const { id } = params;
+    return homey.app.enableScriptWebhook({ id });
+  },
+
+  async disableScriptWebhook({ homey, params }) {
+    const { id } = params;
+    return homey.app.disableScriptWebhook({ id });
+  },
+
+  async rotateScriptWebhookSecret({ homey, params }) {
+    const { id } = params;
+    return homey.app.rotateScriptWebhookSecret({ id });
+  },
+
+  async runWebhookGet({ homey, params, query = {} }) {
+    const { id } = params;
+    const { secret, ...requestQuery } = query;
+
+    return homey.app.runWebhook({
+      id,
+      secret,
+      method: 'GET',
+      query: requestQuery,
+    });
+  },
+
+  async runWebhookPost({
+    homey, params, query = {}, body,
+  }) {
+    const { id } = params;
+    const { secret, ...requestQuery } = query;
+
+    return homey.app.runWebhook({
+      id,
+      secret,
+      method: 'POST',
+      query: requestQuery,
+      body,
+    });
+  },
+
+  async getScriptStats({ homey, params, query = {} }) {
+    const { id } = params;
+    const { days } = query;
+
+    return homey.app.getScriptStats({
+      id,
+      days: days ? Number(days) : undefined,
+    });
+  },
+
+  async resetScriptStats({ homey, params }) {
+    const { id } = params;
+    return homey.app.resetScriptStats({ id });
+  },
+
+  async getScriptRuns({ homey, params }) {
+    const { id } = params;
+    return homey.app.getScriptRuns({ id });
+  },
+
+  async getScriptRun({ homey, params }) {
+    const { id, runId } = params;
+    return homey.app.getScriptRun({ id, runId });
+  },
+
   async createScript({ homey, params, body = {} }) {
-    const { name, code } = body;
+    const {
+      name,
+      code,
+      schedules,
+      concurrency,
+      timeout,
+      library,
+      language,
+      logLevel,
+      permissions,
+      description,
+      folder,
+      tags,
+      enabled,
+      parameters,
+      notifyOnFailure,
+    } = body;
+
+    const script = await homey.app.createScript({
+      name,
+      code,
+      schedules,
+      concurrency,
+      timeout,
+      library,
+      language,
+      logLevel,
+      permissions,
+      description,
+      folder,
+      tags,
+      enabled,
+      parameters,
+      notifyOnFailure,
+    });
 
-    return homey.app.createScript({ name, code });
+    return {
+      ...script,
+      diagnostics: await homey.app.validateCode({
+        name: script.name,
+        code: script.code,
+        language: script.language,
+      }),
+    };
   },
 
   async updateScript({
     homey, params, query, body = {},
   }) {
     const { id } = params;
-    const { name, code } = body;
+    const {
+      name,
+      code,
+      message,
+      schedules,
+      concurrency,
+      timeout,
+      library,
+      language,
+      logLevel,
+      permissions,
+      description,
+      folder,
+      tags,
+      enabled,
+      parameters,
+      notifyOnFailure,
+    } = body;
+
+    const script = await homey.app.updateScript({
+      id,
+      name,
+      code,
+      message,
+      schedules,
+      concurrency,
+      timeout,
+      library,
+      language,
+      logLevel,
+      permissions,
+      description,
+      folder,
+      tags,
+      enabled,
+      parameters,
+      notifyOnFailure,
+    });
 
-    return homey.app.updateScript({ id, name, code });
+    return {
+      ...script,
+      diagnostics: await homey.app.validateCode({
+        name: script.name,
+        code: script.code,
+        language: script.language,
+      }),
+    };
   },
 
-  async deleteScript({ homey, params }) {
+  async deleteScript({ homey, params, query = {} }) {
     const { id } = params;
-    return homey.app.deleteScript({ id });
+    const { deleteTokens } = query;
+
+    return homey.app.deleteScript({
+      id,
+      deleteTokens: deleteTokens === 'true' || deleteTokens === '1',
+    });
+  },
+
+  async getSecrets({ homey }) {
+    return homey.app.getSecrets();
+  },
+
+  async setSecret({ homey, params, body = {} }) {
+    const { name } = params;
+    const { value, scripts } = body;
+
+    return homey.app.setSecret({ name, value, scripts });
+  },
+
+  async deleteSecret({ homey, params }) {
+    const { name } = params;
+    return homey.app.deleteSecret({ name });
+  },
+
+  async getTokens({ homey }) {
+    return homey.app.getTokens();
+  },
+
+  async deleteToken({ homey, params }) {
+    const { id } = params;
+    return homey.app.deleteToken({ id });
+  },
+
+  async deleteOrphanedTokens({ homey }) {
+    return homey.app.deleteOrphanedTokens();
+  },
+
+  async getScriptRevisions({ homey, params }) {
+    const { id } = params;
+    return homey.app.getScriptRevisions({ id });
+  },
+
+  async getScriptRevision({ homey, params }) {
+    const { id, revision } = params;
+    return homey.app.getScriptRevision({ id, revision });
+  },
+
+  async getScriptRevisionDiff({ homey, params, query = {} }) {
+    const { id, revision } = params;
+    const { to } = query;
+
+    return homey.app.getScriptRevisionDiff({ id, from: revision, to });
+  },
+
+  async restoreScriptRevision({ homey, params }) {
+    const { id, revision } = params;
+    return homey.app.restoreScriptRevision({ id, revision });
+  },
+
+  async getScriptScheduledRuns({ homey, params, query = {} }) {
+    const { id } = params;
+    const { count } = query;
+
+    return homey.app.getScriptScheduledRuns({
+      id,
+      count: count ? Number(count) : undefined,
+    });
+  },
+
+  async getScheduledRuns({ homey, query = {} }) {
+    const { count } = query;
+
+    return homey.app.getScheduledRuns({
+      count: count ? Number(count) : undefined,
+    });
+  },
+
+  async getStats({ homey, query = {} }) {
+    const { days } = query;
+
+    return homey.app.getStats({
+      days: days ? Number(days) : undefined,
+    });
+  },
+
+  async resetStats({ homey }) {
+    return homey.app.resetStats();
+  },
+
+  async getSettings({ homey }) {
+    return homey.app.getSettings();
+  },
+
+  async updateSettings({ homey, body = {} }) {
+    return homey.app.updateSettings({ settings: body });
+  },
+
+  async getBackup({ homey }) {
+    return homey.app.getBackup();
+  },
+
+  async restoreBackup({ homey, body = {} }) {
+    const { backup, strategy } = body;
+    return homey.app.restoreBackup({ backup, strategy });
+  },
+
+  async getTypeDefinitions({ homey }) {
+    return homey.app.getTypeDefinitions();
   },
 
 };
@@ -6,20 +6,76 @@ const util = require('util');
 const path = require('path');
 const http = require('http');
 const https = require('https');
+const crypto = require('crypto');
+const { Writable } = require('stream');
+const { Console } = require('console');
 const uuid = require('uuid');
+const Diff = require('diff');
+const cronParser = require('cron-parser');
 
 const Homey = require('homey');
 const { HomeyAPI } = require('athom-api');
 const fetch = require('node-fetch');
 const _ = require('lodash');
 
+const typescript = require('./lib/typescript');
+const { createDryRunProxy } = require('./lib/dryrun');
+const permissions = require('./lib/permissions');
+const homeyapi = require('./lib/homeyapi');
+
 module.exports = class HomeyScriptApp extends Homey.App {
 
   static RUN_TIMEOUT = 1000 * 30; // 30s
+  static RUN_TIMEOUT_MIN = 1000; // 1s
+  static RUN_TIMEOUT_MAX = 1000 * 60 * 10; // 10m
+  static CONCURRENCY_MODES = ['parallel', 'queue', 'skip', 'restart'];
+  static TOKEN_TYPES = ['string', 'number', 'boolean', 'image'];
+  static LANGUAGES = ['javascript', 'typescript'];
+  static LOG_LEVELS = ['debug', 'info', 'warn', 'error']; // from least to most severe
+  static PARAMETER_TYPES = ['string', 'number', 'boolean', 'json'];
+  static BACKUP_VERSION = 1;
+  static BACKUP_STRATEGIES = ['skip', 'overwrite', 'rename'];
+
+  static DEFAULT_SETTINGS = {
+    callDepthMax: 10,
+    rejectInvalidCode: false,
+    failureSuppressionWindow: 1000 * 60 * 5, // 5m, identical failures of a script within it are not reported again
+  };
+
+  // Scripts can do everything, unless their permissions are limited
+  static DEFAULT_PERMISSIONS = {
+    hosts: null, // `null` allows every host, e.g. ['api.example.com', '*.example.org']
+    managers: null, // `null` allows every manager of the HomeyAPI, e.g. ['devices', 'zones']
+    readOnlyDevices: false,
+    tags: true,
+  };
+
+  static REVISIONS_MAX = 50;
+  static RUNS_MAX = 20;
+  static RUN_LOG_LINES_MAX = 500;
+  static RUN_LOG_ENTRY_BYTES_MAX = 1024 * 2; // 2KB, longer log entries are truncated in the run history
+  static RUN_RETURNS_BYTES_MAX = 1024 * 16; // 16KB, larger return values are stored as truncated JSON
+  static STATS_DAYS_MAX = 30;
+  static STATS_DURATIONS_MAX = 200; // durations kept per day to calculate the p95 duration
+  static SCHEDULE_INTERVAL_MIN = 1000 * 60; // 1m
+  static SCHEDULE_TIMEOUT_MAX = 2 ** 31 - 1; // setTimeout limit (~24.8d)
+  static WEBHOOK_RATE_LIMIT = 30; // requests per window
+  static WEBHOOK_RATE_LIMIT_WINDOW = 1000 * 60; // 1m
+  static SECRET_REDACT_LENGTH_MIN = 4; // shorter values would redact too much
 
   async onInit() {
     // Init Scripts
     this.scripts = this.homey.settings.get('scripts');
+    this.activeRuns = {};
+    this.runQueues = {};
+    this.libraryScripts = {};
+    this.compiledScripts = {};
+    this.stateUpdates = {};
+    this.webhookRequests = {};
+    this.lastFailures = {};
+    this.homeyAPI = null;
+    this.homeyAPICache = null;
+    this.homeyAPITokenRefresh = null;
 
     this.localURL = await this.homey.api.getLocalUrl();
     this.sessionToken = await this.homey.api.getOwnerApiToken();
@@ -95,316 +151,2753 @@ module.exports = class HomeyScriptApp extends Homey.App {
 
     // Register Flow Cards
     this.homey.flow.getConditionCard('run')
-      .registerRunListener(async ({ script }) => {
-        const scriptSource = await this.getScript({ id: script.id });
-
-        return this.runScript({
-          id: scriptSource.id,
-          name: scriptSource.name,
-          code: scriptSource.code,
-          lastExecuted: scriptSource.lastExecuted,
-          realtime: false,
-        }).finally(() => {
-          this.updateScript({ id: scriptSource.id, lastExecuted: new Date() }).catch(this.error);
-        });
+      .registerRunListener(async ({ script }) => this.runScriptFromFlow({
+        id: script.id,
+        source: 'flow:condition:run',
       })
+        .then(result => this.isTruthyResult({ result })))
       .registerArgumentAutocompleteListener('script', query => this.onFlowGetScriptAutocomplete(query));
 
     this.homey.flow.getConditionCard('runWithArg')
-      .registerRunListener(async ({ script, argument }) => {
-        const scriptSource = await this.getScript({ id: script.id });
-
-        return this.runScript({
-          id: scriptSource.id,
-          name: scriptSource.name,
-          code: scriptSource.code,
-          lastExecuted: scriptSource.lastExecuted,
-          args: [argument],
-          realtime: false,
-        }).finally(() => {
-          this.updateScript({ id: scriptSource.id, lastExecuted: new Date() }).catch(this.error);
-        });
+      .registerRunListener(async ({ script, argument }) => this.runScriptFromFlow({
+        id: script.id,
+        args: [argument],
+        source: 'flow:condition:runWithArg',
       })
+        .then(result => this.isTruthyResult({ result })))
       .registerArgumentAutocompleteListener('script', query => this.onFlowGetScriptAutocomplete(query));
 
-    this.homey.flow.getActionCard('run')
-      .registerRunListener(async ({ script }) => {
-        const scriptSource = await this.getScript({ id: script.id });
-
-        return this.runScript({
-          id: scriptSource.id,
-          name: scriptSource.name,
-          code: scriptSource.code,
-          lastExecuted: scriptSource.lastExecuted,
-          realtime: false,
-        }).finally(() => {
-          this.updateScript({ id: scriptSource.id, lastExecuted: new Date() }).catch(this.error);
-        });
+    this.homey.flow.getConditionCard('runWithArgs')
+      .registerRunListener(async args => this.runScriptFromFlow({
+        id: args.script.id,
+        args: this.getFlowArguments(args),
+        source: 'flow:condition:runWithArgs',
+      })
+        .then(result => this.isTruthyResult({ result })))
+      .registerArgumentAutocompleteListener('script', query => this.onFlowGetScriptAutocomplete(query));
+
+    this.homey.flow.getConditionCard('runResult')
+      .registerRunListener(async ({
+        script, argument, operator, value, onError,
+      }) => this.runScriptFromFlow({
+        id: script.id,
+        args: this.getFlowArguments({ argument1: argument }),
+        source: 'flow:condition:runResult',
       })
+        .then(result => this.compareResult({ result, operator, value }))
+        .catch(err => {
+          if (onError === 'propagate') throw err;
+          return onError === 'true';
+        }))
+      .registerArgumentAutocompleteListener('script', query => this.onFlowGetScriptAutocomplete(query));
+
+    this.homey.flow.getActionCard('run')
+      .registerRunListener(async ({ script }) => this.runScriptFromFlow({
+        id: script.id,
+        source: 'flow:action:run',
+      }))
       .registerArgumentAutocompleteListener('script', query => this.onFlowGetScriptAutocomplete(query));
 
     this.homey.flow.getActionCard('runWithArg')
-      .registerRunListener(async ({ script, argument }) => {
-        const scriptSource = await this.getScript({ id: script.id });
-
-        return this.runScript({
-          id: scriptSource.id,
-          name: scriptSource.name,
-          code: scriptSource.code,
-          lastExecuted: scriptSource.lastExecuted,
-          args: [argument],
-          realtime: false,
-        }).finally(() => {
-          this.updateScript({ id: scriptSource.id, lastExecuted: new Date() }).catch(this.error);
-        });
+      .registerRunListener(async ({ script, argument }) => this.runScriptFromFlow({
+        id: script.id,
+        args: [argument],
+        source: 'flow:action:runWithArg',
+      }))
+      .registerArgumentAutocompleteListener('script', query => this.onFlowGetScriptAutocomplete(query));
+
+    this.homey.flow.getActionCard('runReturns')
+      .registerRunListener(async ({ script }) => this.runScriptFromFlow({
+        id: script.id,
+        source: 'flow:action:runReturns',
+      })
+        .then(result => this.getResultTokens({ result }))
+        .catch(error => this.getResultTokens({ error })))
+      .registerArgumentAutocompleteListener('script', query => this.onFlowGetScriptAutocomplete(query));
+
+    this.homey.flow.getActionCard('runWithArgReturns')
+      .registerRunListener(async ({ script, argument }) => this.runScriptFromFlow({
+        id: script.id,
+        args: [argument],
+        source: 'flow:action:runWithArgReturns',
       })
+        .then(result => this.getResultTokens({ result }))
+        .catch(error => this.getResultTokens({ error })))
       .registerArgumentAutocompleteListener('script', query => this.onFlowGetScriptAutocomplete(query));
 
+    this.homey.flow.getActionCard('runWithArgs')
+      .registerRunListener(async args => this.runScriptFromFlow({
+        id: args.script.id,
+        args: this.getFlowArguments(args),
+        source: 'flow:action:runWithArgs',
+      }))
+      .registerArgumentAutocompleteListener('script', query => this.onFlowGetScriptAutocomplete(query));
+
+    this.homey.flow.getActionCard('runWithArgsReturns')
+      .registerRunListener(async args => this.runScriptFromFlow({
+        id: args.script.id,
+        args: this.getFlowArguments(args),
+        source: 'flow:action:runWithArgsReturns',
+      })
+        .then(result => this.getResultTokens({ result }))
+        .catch(error => this.getResultTokens({ error })))
+      .registerArgumentAutocompleteListener('script', query => this.onFlowGetScriptAutocomplete(query));
+
+    this.homey.flow.getTriggerCard('event')
+      .registerRunListener(async (args, state) => {
+        return args.name.trim() === state.name.trim();
+      });
+
     // Register Flow Tokens
     this.tokens = this.homey.settings.get('tokens') || {};
     this.tokensInstances = {};
+    this.tokensImages = {};
 
     await Promise.all(Object.keys(this.tokens).map(async id => {
-      this.tokensInstances[id] = await this.homey.flow.createToken(id, {
-        title: id,
-        type: this.tokens[id].type,
-        value: this.tokens[id].value,
-      });
+      this.tokensInstances[id] = await this.createTokenInstance({ id, token: this.tokens[id] });
     })).catch(this.error);
+
+    // Start Schedules
+    this.scheduleTimeouts = {};
+
+    for (const scriptId of Object.keys(this.scripts)) {
+      this.scheduleScript({ id: scriptId });
+    }
+  }
+
+  async onUninit() {
+    if (this.homeyAPI) {
+      this.homeyAPICache.reset();
+      this.homeyAPI.destroy();
+    }
   }
 
+  // All runs share one HomeyAPI instance, so they don't pay for a connection and fetching the devices every time
   async getHomeyAPI() {
-    const api = new HomeyAPI({
-      localUrl: this.localURL,
-      baseUrl: this.localURL,
-      token: this.sessionToken,
-      apiVersion: 2,
-      online: true,
-    }, () => {
-      // called by HomeyAPI on 401 requests
-      api.setToken(this.sessionToken);
-    });
+    if (!this.homeyAPI) {
+      this.homeyAPI = new HomeyAPI({
+        localUrl: this.localURL,
+        baseUrl: this.localURL,
+        token: this.sessionToken,
+        apiVersion: 2,
+        online: true,
+      }, () => {
+        // called by HomeyAPI on 401 requests
+        this.refreshHomeyAPIToken().catch(this.error);
+      });
+
+      this.homeyAPICache = homeyapi.createCache({
+        api: this.homeyAPI,
+        onError: err => this.error('HomeyAPI Cache Error:', err),
+      });
+    }
+
+    return this.homeyAPI;
+  }
+
+  async refreshHomeyAPIToken() {
+    // Requests that fail at the same time share one refresh
+    if (!this.homeyAPITokenRefresh) {
+      this.homeyAPITokenRefresh = (async () => {
+        this.sessionToken = await this.homey.api.getOwnerApiToken();
+        this.homeyAPI.setToken(this.sessionToken);
+
+        // The realtime connection may have missed events, so the cache is loaded again on next use
+        this.homeyAPICache.reset();
+      })().finally(() => {
+        this.homeyAPITokenRefresh = null;
+      });
+    }
 
-    return api;
+    return this.homeyAPITokenRefresh;
   }
 
   async onFlowGetScriptAutocomplete(query) {
-    const scripts = await this.getScripts();
+    const scripts = await this.getScripts({ query });
     return Object.values(scripts)
-      .filter(script => script.name.toLowerCase().includes(query.toLowerCase()))
-      .map(script => ({
-        id: script.id,
-        name: script.name,
-      }));
+      .map(script => {
+        // e.g. `(room: string, brightness?: number)`
+        const signature = script.parameters && script.parameters.length > 0
+          ? `(${script.parameters
+            .map(({ name, type, required }) => `${name}${required ? '' : '?'}: ${type}`)
+            .join(', ')})`
+          : null;
+
+        return {
+          id: script.id,
+          name: script.name,
+          description: [script.folder, script.description, signature].filter(Boolean).join(' · ') || undefined,
+        };
+      });
+  }
+
+  // The arguments of the `runWithArgs` cards, empty arguments at the end are left out
+  getFlowArguments({ argument1, argument2, argument3 }) {
+    const args = [argument1, argument2, argument3]
+      .map(argument => (argument === '' ? undefined : argument));
+
+    while (args.length > 0 && args[args.length - 1] === undefined) {
+      args.pop();
+    }
+
+    return args;
+  }
+
+  // Results of condition cards, e.g. `'false'`, `0`, `[]` and `{}` are false
+  isTruthyResult({ result }) {
+    if (typeof result === 'string') {
+      return !['', 'false', '0', 'no', 'off', 'null', 'undefined'].includes(result.trim().toLowerCase());
+    }
+
+    if (Array.isArray(result)) return result.length > 0;
+    if (_.isPlainObject(result)) return Object.keys(result).length > 0;
+    if (typeof result === 'number') return result !== 0 && !Number.isNaN(result);
+
+    return !!result;
+  }
+
+  compareResult({ result, operator, value = '' }) {
+    if (operator === 'truthy') {
+      return this.isTruthyResult({ result });
+    }
+
+    if (operator === 'equals') {
+      // An empty value would be converted to e.g. `0`, so it's compared as a string
+      if (String(value).trim() === '') return String(result) === value;
+      if (typeof result === 'number') return result === Number(value);
+      if (typeof result === 'boolean') return result === this.isTruthyResult({ result: value });
+      if (result !== null && typeof result === 'object') return _.isEqual(result, this.parseJSON(value));
+
+      return String(result) === value;
+    }
+
+    if (operator === 'contains') {
+      if (Array.isArray(result)) return result.some(item => _.isEqual(item, this.parseJSON(value)) || String(item) === value);
+      if (_.isPlainObject(result)) return Object.prototype.hasOwnProperty.call(result, value);
+
+      return String(result).includes(value);
+    }
+
+    // `greaterThan` and `lessThan` compare numbers, or strings that contain a number. Anything else is false.
+    if (operator === 'greaterThan' || operator === 'lessThan') {
+      const resultNumber = typeof result === 'string' && result.trim() !== '' ? Number(result) : result;
+      const valueNumber = value.trim() !== '' ? Number(value) : NaN;
+
+      if (!_.isFinite(resultNumber) || !_.isFinite(valueNumber)) return false;
+
+      return operator === 'greaterThan'
+        ? resultNumber > valueNumber
+        : resultNumber < valueNumber;
+    }
+
+    throw new Error(`Invalid Operator: ${operator}`);
+  }
+
+  // Values of Flow card arguments are text, compare them to objects as JSON when possible
+  parseJSON(value) {
+    try {
+      return JSON.parse(value);
+    } catch (err) {
+      return value;
+    }
+  }
+
+  getResultTokens({ result, error }) {
+    const tokens = {
+      string: '',
+      number: 0,
+      boolean: false,
+      json: '',
+      error: error ? error.message : '',
+    };
+
+    if (error) return tokens;
+
+    if (typeof result === 'string') {
+      tokens.string = result;
+    } else if (typeof result === 'number' || typeof result === 'boolean') {
+      tokens.string = String(result);
+    }
+
+    if (typeof result === 'number' && Number.isFinite(result)) {
+      tokens.number = result;
+    }
+
+    if (typeof result === 'boolean') {
+      tokens.boolean = result;
+    }
+
+    if (result !== undefined) {
+      try {
+        tokens.json = JSON.stringify(result);
+      } catch (err) {
+        tokens.error = `Result is not serializable: ${err.message}`;
+      }
+    }
+
+    return tokens;
+  }
+
+  async createTokenInstance({ id, token }) {
+    let { value } = token;
+
+    // The value of an Image Tag is an Image, only its URL is stored
+    if (token.type === 'image') {
+      value = await this.homey.images.createImage();
+      value.setUrl(token.value);
+      this.tokensImages[id] = value;
+    }
+
+    return this.homey.flow.createToken(id, {
+      type: token.type,
+      value,
+      title: token.title || id,
+    });
+  }
+
+  async unregisterTokenInstance({ id }) {
+    if (this.tokensInstances[id]) {
+      await this.tokensInstances[id].unregister().catch(this.error);
+      delete this.tokensInstances[id];
+    }
+
+    if (this.tokensImages[id]) {
+      await this.tokensImages[id].unregister().catch(this.error);
+      delete this.tokensImages[id];
+    }
   }
 
-  async setToken({ id, value, type = typeof value }) {
+  async setToken({
+    id, value, type, title, script = null,
+  }) {
     // Delete the Token
     if (typeof value === 'undefined' || value === null) {
-      if (this.tokensInstances[id]) {
-        await this.tokensInstances[id].unregister().catch(this.error);
-      }
+      await this.unregisterTokenInstance({ id });
 
       if (this.tokens[id]) {
         delete this.tokens[id];
-        delete this.tokensInstances[id];
         this.homey.settings.set('tokens', this.tokens);
       }
 
       return;
     }
 
-    // Create the Token
-    if (!this.tokensInstances[id]) {
-      this.tokensInstances[id] = await this.homey.flow.createToken(id, {
-        type,
-        value,
-        title: id,
-      });
+    const token = this.tokens[id];
 
-      this.tokens[id] = { type, value };
-      this.homey.settings.set('tokens', this.tokens);
+    // An Image Tag is updated with a new URL
+    if (type == null) {
+      type = token && token.type === 'image' && typeof value === 'string'
+        ? 'image'
+        : typeof value;
+    }
 
-      return;
+    if (title == null) {
+      title = token && token.title ? token.title : id;
+    }
+
+    if (!this.constructor.TOKEN_TYPES.includes(type)) {
+      throw new Error(`Invalid Tag Type: Expected one of ${this.constructor.TOKEN_TYPES.join(', ')}`);
+    }
+
+    const isValidValue = {
+      string: _.isString,
+      number: _.isNumber,
+      boolean: _.isBoolean,
+      image: _.isString,
+    }[type];
+
+    if (!isValidValue(value)) {
+      throw new Error(`Invalid Tag Value: Expected a ${type === 'image' ? 'URL' : type}`);
     }
 
     // Update the Token
-    if (this.tokensInstances[id]) {
-      await this.tokensInstances[id].setValue(value);
+    if (this.tokensInstances[id] && token.type === type && (token.title || id) === title) {
+      if (type === 'image') {
+        this.tokensImages[id].setUrl(value);
+        await this.tokensImages[id].update();
+      } else {
+        await this.tokensInstances[id].setValue(value);
+      }
 
       this.tokens[id].value = value;
       this.homey.settings.set('tokens', this.tokens);
+
+      return;
+    }
+
+    // Create the Token, a Token of which the type or title changed is created again
+    await this.unregisterTokenInstance({ id });
+
+    const newToken = {
+      type,
+      value,
+      title,
+      // The script that created the Token remains its owner
+      script: token ? token.script : script,
+    };
+
+    this.tokensInstances[id] = await this.createTokenInstance({ id, token: newToken });
+    this.tokens[id] = newToken;
+    this.homey.settings.set('tokens', this.tokens);
+  }
+
+  async getTokens() {
+    return Object.entries(this.tokens).map(([id, token]) => ({
+      id,
+      title: token.title || id,
+      type: token.type,
+      value: token.value,
+      script: token.script || null,
+      orphaned: !!token.script && !this.scripts[token.script],
+    }));
+  }
+
+  async getToken({ id }) {
+    const tokens = await this.getTokens();
+    const token = tokens.find(item => item.id === id);
+
+    if (!token) {
+      throw new Error('Tag Not Found');
     }
+
+    return token;
   }
 
-  async getScripts() {
-    return this.scripts;
+  async deleteToken({ id }) {
+    await this.getToken({ id });
+    await this.setToken({ id, value: null });
   }
 
-  async getScript({ id }) {
-    const script = this.scripts[id];
+  async deleteOrphanedTokens({ script } = {}) {
+    const tokens = await this.getTokens();
+    const deleted = tokens
+      .filter(token => (script ? token.script === script : token.orphaned))
+      .map(token => token.id);
 
-    if (!script) {
-      throw new Error('Script Not Found');
+    for (const id of deleted) {
+      await this.setToken({ id, value: null });
     }
 
-    return {
-      ...script,
-      lastExecuted: new Date(script.lastExecuted),
-    };
+    return { deleted };
   }
 
-  async runScript({
-    id,
-    name,
-    code,
-    lastExecuted,
-    args = [],
-    realtime = true,
-  }) {
-    if (lastExecuted == null) lastExecuted = new Date();
+  async triggerEvent({ script, name, tokens = {} }) {
+    if (typeof name !== 'string' || !name.trim()) {
+      throw new Error('Invalid Event Name');
+    }
 
-    const homeyAPI = await this.getHomeyAPI();
+    if (tokens === null || typeof tokens !== 'object') {
+      throw new Error('Invalid Event Tokens: Expected an object');
+    }
 
-    // Create a Logger
-    const log = (...props) => {
-      this.log(`[${name}]`, ...props);
+    const {
+      string = '',
+      number = 0,
+      boolean = false,
+    } = tokens;
+
+    if (typeof string !== 'string') throw new Error('Invalid Event Tokens: `string` must be a String');
+    if (typeof number !== 'number') throw new Error('Invalid Event Tokens: `number` must be a Number');
+    if (typeof boolean !== 'boolean') throw new Error('Invalid Event Tokens: `boolean` must be a Boolean');
+
+    await this.homey.flow.getTriggerCard('event').trigger({
+      string,
+      number,
+      boolean,
+      script,
+    }, { name });
+  }
 
-      if (realtime) {
-        this.homey.api.realtime('log', {
-          text: util.format(...props),
-          script: id,
-        });
-      }
+  async getSettings() {
+    return {
+      ...this.constructor.DEFAULT_SETTINGS,
+      ...this.homey.settings.get('settings'),
     };
+  }
 
-    // Create the Context
-    const context = vm.createContext({
-      args,
+  async updateSettings({ settings = {} }) {
+    const newSettings = await this.getSettings();
 
-      // 3rd party modules
-      _,
-      fetch,
-      http,
-      https,
-      URLSearchParams,
-      Buffer,
+    for (const [key, value] of Object.entries(settings)) {
+      if (!Object.prototype.hasOwnProperty.call(this.constructor.DEFAULT_SETTINGS, key)) {
+        throw new Error(`Invalid Setting: Unknown setting '${key}'`);
+      }
 
-      // System
-      __filename__: `${name}.js`,
-      __script_id__: id,
-      __last_executed__: lastExecuted,
-      __ms_since_last_executed__: Date.now() - lastExecuted.getTime(),
+      if (typeof value !== typeof this.constructor.DEFAULT_SETTINGS[key]) {
+        throw new Error(`Invalid Setting: '${key}' must be a ${typeof this.constructor.DEFAULT_SETTINGS[key]}`);
+      }
 
-      // Homey API
-      Homey: homeyAPI,
+      newSettings[key] = value;
+    }
 
-      // Logging
-      log,
-      console: {
-        log,
-        error: log,
-        info: log,
-      },
+    this.homey.settings.set('settings', newSettings);
 
-      // Shortcuts
-      say: async text => homeyAPI.speechOutput.say({ text }),
-      tag: async (id, value) => this.setToken({ id, value }),
-      wait: async delay => new Promise(resolve => setTimeout(resolve, delay)),
+    return newSettings;
+  }
 
-      // Cross-Script Settings
-      global: {
-        get: key => this.homey.settings.get(`homeyscript-${key}`),
-        set: (key, value) => this.homey.settings.set(`homeyscript-${key}`, value),
-        keys: () => this.homey.settings.getKeys()
-          .filter(key => key.startsWith('homeyscript-'))
-          .map(key => key.substring('homeyscript-'.length)),
-      },
+  async getScripts({
+    folder, tag, enabled, query,
+  } = {}) {
+    // Without filters every script is returned, like before scripts had metadata
+    if (folder == null && tag == null && enabled == null && !query) {
+      return this.scripts;
+    }
 
-      // Deprecated
-      setTagValue: async (id, opts, value) => {
-        log('Warning: setTagValue(id, opts, value) is deprecated, please use tag(id, value)');
-        await this.setToken({
-          id,
-          value,
-          type: opts.type,
-        });
-      },
-    });
+    const scripts = {};
 
-    try {
-      // Create the Sandbox
-      const sandbox = new vm.Script(`Promise.resolve().then(async () => {\n${code}\n});`, {
-        filename: `${name}.js`,
-        lineOffset: -1,
-        columnOffset: 0,
-      });
+    for (const script of Object.values(this.scripts)) {
+      const {
+        description = '', folder: scriptFolder = null, tags = [], enabled: scriptEnabled = true,
+      } = script;
 
-      const runPromise = sandbox.runInNewContext(context, {
-        displayErrors: true,
-        timeout: this.constructor.RUN_TIMEOUT,
-        microtaskMode: 'afterEvaluate', // from Node 14 should properly timeout async script
-      });
+      if (folder != null && (scriptFolder || '') !== folder) continue;
+      if (tag != null && !tags.includes(tag)) continue;
+      if (enabled != null && scriptEnabled !== enabled) continue;
 
-      const result = await runPromise;
-      log('\n———————————————————\n✅ Script Success\n');
-      log('↩️ Returned:', JSON.stringify(result, false, 2));
-      return result;
-    } catch (err) {
-      log('\n———————————————————\n❌ Script Error\n');
-      log('⚠️', err.stack);
-      // Create a new Error because an Error from the sandbox behaves differently
-      const error = new Error(err.message);
-      error.stack = err.stack;
-      throw error;
-    } finally {
-      if (homeyAPI) {
-        homeyAPI.destroy();
+      if (query) {
+        const text = [script.name, description, scriptFolder, ...tags].join('\n').toLowerCase();
+        if (!text.includes(query.toLowerCase())) continue;
       }
+
+      scripts[script.id] = script;
     }
+
+    return scripts;
   }
 
-  async createScript({ name, code }) {
-    const newScript = {
-      id: uuid.v4(),
-      name,
-      code,
-      lastExecuted: null,
-    };
+  findScript({ nameOrId }) {
+    const script = this.scripts[nameOrId]
+      || Object.values(this.scripts).find(item => item.name === nameOrId);
 
-    this.scripts[newScript.id] = newScript;
-    this.homey.settings.set('scripts', this.scripts);
+    if (!script) {
+      throw new Error(`Script Not Found: ${nameOrId}`);
+    }
 
-    return newScript;
+    return script;
   }
 
-  async updateScript({
-    id, name, code, lastExecuted,
-  }) {
-    this.scripts[id] = {
-      ...this.scripts[id],
-    };
+  // Scripts that are disabled don't run from Flows, schedules or webhooks
+  async getEnabledScript({ id }) {
+    const script = await this.getScript({ id });
 
-    if (name != null) {
-      this.scripts[id].name = name;
+    if (script.enabled === false) {
+      const error = new Error(`Script Disabled: ${script.name}`);
+      error.code = 'DISABLED';
+      throw error;
     }
 
-    if (code != null) {
-      this.scripts[id].code = code;
-    }
+    return script;
+  }
 
-    if (lastExecuted != null) {
-      this.scripts[id].lastExecuted = lastExecuted;
+  async getScript({ id }) {
+    const script = this.scripts[id];
+
+    if (!script) {
+      throw new Error('Script Not Found');
     }
 
-    this.homey.settings.set('scripts', this.scripts);
+    return {
+      ...script,
+      lastExecuted: new Date(script.lastExecuted),
+    };
+  }
 
-    return this.scripts[id];
+  getScriptFilename({ name, language = 'javascript' }) {
+    return `${name}.${language === 'typescript' ? 'ts' : 'js'}`;
   }
 
-  async deleteScript({ id }) {
-    delete this.scripts[id];
-    this.homey.settings.set('scripts', this.scripts);
+  compileCode({
+    id, name, code, language = 'javascript',
+  }) {
+    const filename = this.getScriptFilename({ name, language });
+
+    if (language !== 'typescript') {
+      return { filename, code };
+    }
+
+    // The compiled code is cached until the source or filename changes
+    const cached = this.compiledScripts[id];
+    if (cached && cached.source === code && cached.filename === filename) {
+      return cached;
+    }
+
+    const compiled = {
+      ...typescript.transpile({ code, fileName: filename }),
+      filename,
+      source: code,
+    };
+
+    if (id) {
+      this.compiledScripts[id] = compiled;
+    }
+
+    return compiled;
+  }
+
+  mapErrorStack({ stack }) {
+    if (typeof stack !== 'string') return stack;
+
+    // Positions in compiled TypeScript are mapped back to the TypeScript source
+    return Object.values(this.compiledScripts).reduce((result, compiled) => {
+      return typescript.mapStack({
+        stack: result,
+        fileName: compiled.filename,
+        map: compiled.map,
+      });
+    }, stack);
+  }
+
+  createSandboxScript({
+    id, name, code, language,
+  }) {
+    const compiled = this.compileCode({
+      id, name, code, language,
+    });
+
+    // The code is wrapped in an async function, so it can use `await` and `return`. The function is called right away,
+    // so the code up to the first `await` runs while the script is evaluated, where the `timeout` option applies.
+    return new vm.Script(`(async () => {\n${compiled.code}\n})();`, {
+      filename: compiled.filename,
+      lineOffset: -1,
+      columnOffset: 0,
+    });
+  }
+
+  async validateCode({ name, code, language = 'javascript' }) {
+    if (language === 'typescript') {
+      return typescript.check({
+        code,
+        fileName: this.getScriptFilename({ name, language }),
+      });
+    }
+
+    try {
+      this.createSandboxScript({ name, code });
+      return [];
+    } catch (err) {
+      if (!(err instanceof SyntaxError)) throw err;
+
+      // The stack of a SyntaxError starts with `filename:line`, the source line and a caret at the column.
+      // Line numbers are already corrected for the wrapper by the line offset.
+      const [location = '', , caret = ''] = err.stack.split('\n');
+      const lines = code.split('\n');
+
+      let line = Number((location.match(/:(\d+)$/) || [])[1]) || 1;
+      let column = caret.indexOf('^') + 1 || 1;
+
+      // Errors at the end of the code are reported on the closing line of the wrapper
+      if (line > lines.length) {
+        line = lines.length;
+        column = lines[lines.length - 1].length + 1;
+      }
+
+      return [{
+        severity: 'error',
+        source: 'syntax',
+        message: err.message,
+        line,
+        column,
+      }];
+    }
+  }
+
+  async validateScript({ id, code, language }) {
+    const script = await this.getScript({ id });
+
+    const diagnostics = await this.validateCode({
+      name: script.name,
+      code: code != null ? code : script.code,
+      language: language != null ? language : script.language,
+    });
+
+    return {
+      valid: !diagnostics.some(diagnostic => diagnostic.severity === 'error'),
+      diagnostics,
+    };
+  }
+
+  async assertValidCode({ name, code, language }) {
+    const { rejectInvalidCode } = await this.getSettings();
+    if (!rejectInvalidCode) return;
+
+    // Type errors don't prevent a script from running, only syntax errors are rejected
+    const diagnostics = await this.validateCode({ name, code, language });
+    const diagnostic = diagnostics.find(item => item.severity === 'error' && item.source === 'syntax');
+
+    if (diagnostic) {
+      throw new Error(`Invalid Code: ${diagnostic.message} (${diagnostic.line}:${diagnostic.column})`);
+    }
+  }
+
+  async runScript({
+    id,
+    name,
+    code,
+    lastExecuted,
+    args = [],
+    params = null,
+    realtime = true,
+    source = 'api',
+    depth = 0,
+    onLog = null,
+    dryRun = false,
+    dryRunCalls = [],
+    request = null,
+    response = null,
+    callerPermissions = null,
+  }) {
+    if (lastExecuted == null) lastExecuted = new Date();
+
+    const {
+      concurrency = 'parallel',
+      timeout = this.constructor.RUN_TIMEOUT,
+      language = 'javascript',
+      logLevel = 'debug',
+      permissions: scriptPermissions,
+      parameters = [],
+    } = this.scripts[id] || {};
+
+    if (concurrency === 'skip' && this.isScriptRunning({ id })) {
+      this.log(`[${name}] Skipped, script is already running`);
+      return undefined;
+    }
+
+    if (concurrency === 'restart') {
+      this.abortRuns({ id });
+    }
+
+    const run = {
+      id: uuid.v4(),
+      source,
+      args,
+      startedAt: new Date(),
+      endedAt: null,
+      duration: null,
+      success: null,
+      returns: undefined,
+      error: null,
+      logs: [],
+      dryRun,
+    };
+
+    // Register the run, so it can be stopped
+    const abortController = new AbortController();
+    const { signal } = abortController;
+
+    // The reason is set before aborting, runs stopped from the outside default to `Script Stopped`
+    let abortError = null;
+    const getAbortError = () => {
+      if (abortError) return abortError;
+
+      const error = new Error('Script Stopped');
+      error.code = 'STOPPED';
+      return error;
+    };
+
+    const stopped = new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(getAbortError()), { once: true });
+    });
+    stopped.catch(() => {}); // Handled by Promise.race
+
+    this.activeRuns[id] = {
+      ...this.activeRuns[id],
+      [run.id]: abortController,
+    };
+
+    let releaseQueue = () => {};
+
+    if (concurrency === 'queue') {
+      try {
+        releaseQueue = await this.waitForRunQueue({ id, stopped });
+      } catch (err) {
+        this.unregisterRun({ id, runId: run.id });
+        throw err;
+      }
+
+      run.startedAt = new Date();
+    }
+
+    // The facade cleans up the listeners a run leaves behind on the shared HomeyAPI
+    const { api: homeyAPI, dispose: disposeHomeyAPI } = homeyapi.createFacade({
+      api: await this.getHomeyAPI(),
+      cache: this.homeyAPICache,
+    });
+
+    // Create a Logger, entries below the minimum level of the script are dropped
+    // Values of secrets never leave the run, not through logs and not through the run history
+    const redact = this.createSecretRedactor();
+
+    const { LOG_LEVELS } = this.constructor;
+    const writeLog = ({ level, text, runId = run.id }) => {
+      if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(logLevel)) return;
+
+      const entry = {
+        level,
+        timestamp: new Date().toISOString(),
+        runId,
+        text: redact(text),
+      };
+
+      this.log(`[${name}]`, `[${level}]`, entry.text);
+
+      if (run.logs.length < this.constructor.RUN_LOG_LINES_MAX) {
+        run.logs.push({
+          ...entry,
+          text: this.truncateText({ text: entry.text, bytes: this.constructor.RUN_LOG_ENTRY_BYTES_MAX }),
+        });
+      }
+
+      if (realtime) {
+        this.homey.api.realtime('log', {
+          ...entry,
+          script: id,
+        });
+      }
+
+      if (onLog) {
+        onLog(entry);
+      }
+    };
+
+    const createLogger = level => (...props) => writeLog({ level, text: util.format(...props) });
+    const log = createLogger('info');
+    const warn = createLogger('warn');
+    const logError = createLogger('error');
+
+    // Start times of `console.time()`, by label
+    const timers = new Map();
+    const logTime = ({ label, props = [], end = false }) => {
+      if (!timers.has(label)) {
+        warn(`Timer '${label}' does not exist`);
+        return;
+      }
+
+      const duration = Date.now() - timers.get(label);
+      if (end) timers.delete(label);
+
+      log(`${label}: ${duration}ms`, ...props);
+    };
+
+    // Limit the globals to the permissions of the script, denied calls are logged before they throw. A script run by
+    // another script can't do more than its caller, or `run()` would get around the permissions of the caller.
+    const effectivePermissions = {
+      ...this.constructor.DEFAULT_PERMISSIONS,
+      ...scriptPermissions,
+    };
+    const {
+      hosts, managers, readOnlyDevices, tags,
+    } = callerPermissions
+      ? permissions.intersectPermissions(effectivePermissions, callerPermissions)
+      : effectivePermissions;
+
+    const onDenied = err => {
+      logError(`🔒 ${err.message}`);
+      return err;
+    };
+
+    const guardHomeyAPI = target => permissions.guardHomeyAPI({
+      homeyAPI: target, managers, readOnlyDevices, onDenied,
+    });
+    const guardedHomeyAPI = guardHomeyAPI(homeyAPI);
+
+    const assertTagsAllowed = () => {
+      if (!tags) {
+        throw onDenied(permissions.createPermissionError('Creating or updating Tags is not allowed'));
+      }
+    };
+
+    const setToken = async options => {
+      assertTagsAllowed();
+      return this.setToken(options);
+    };
+
+    // Libraries imported during this run, by ID
+    const modules = {};
+
+    // Create the Globals
+    const globals = {
+      args,
+      params: {},
+
+      // 3rd party modules
+      _,
+      fetch: permissions.guardFetch({
+        fetch: async (url, options) => fetch(url, { signal, ...options }),
+        hosts,
+        onDenied,
+      }),
+      http: permissions.guardHttp({ module: http, hosts, onDenied }),
+      https: permissions.guardHttp({ module: https, hosts, onDenied }),
+      URLSearchParams,
+      Buffer,
+
+      // System
+      __filename__: this.getScriptFilename({ name, language }),
+      __script_id__: id,
+      __last_executed__: lastExecuted,
+      __ms_since_last_executed__: Date.now() - lastExecuted.getTime(),
+      __run_id__: run.id,
+
+      // The HTTP request and response when started by a webhook
+      request,
+      response,
+
+      // Aborted when the run is stopped
+      signal,
+
+      // Homey API
+      Homey: guardedHomeyAPI,
+
+      // Logging
+      log,
+      console: {
+        log,
+        info: log,
+        debug: createLogger('debug'),
+        warn,
+        error: logError,
+        table: (data, properties) => log(this.formatTable({ data, properties })),
+        time: (label = 'default') => {
+          timers.set(String(label), Date.now());
+        },
+        timeLog: (label = 'default', ...props) => logTime({ label: String(label), props }),
+        timeEnd: (label = 'default') => logTime({ label: String(label), end: true }),
+      },
+
+      // Shortcuts
+      say: async text => guardedHomeyAPI.speechOutput.say({ text }),
+      tag: Object.assign(async (tokenId, value, options = {}) => setToken({
+        id: tokenId,
+        value,
+        type: options.type,
+        title: options.title,
+        script: id,
+      }), {
+        get: async tokenId => {
+          const token = this.tokens[tokenId];
+          return token ? token.value : undefined;
+        },
+        list: async () => this.getTokens(),
+      }),
+      trigger: async (event, tokens) => this.triggerEvent({ script: name, name: event, tokens }),
+      run: async (nameOrId, ...runArgs) => this.runScriptFromScript({
+        nameOrId,
+        args: runArgs,
+        depth: depth + 1,
+        writeLog,
+        dryRun,
+        dryRunCalls,
+        callerPermissions: {
+          hosts, managers, readOnlyDevices, tags,
+        },
+      }),
+      importScript: async nameOrId => this.importScript({
+        nameOrId,
+        globals,
+        modules,
+        stack: [id],
+        timeout,
+      }),
+      wait: async delay => new Promise((resolve, reject) => {
+        // The run has already ended. Rejecting again would let a loop that catches the error spin without ever
+        // yielding to the event loop, so the delay never ends instead.
+        if (signal.aborted) return;
+
+        let timeout = null;
+
+        const onAbort = () => {
+          clearTimeout(timeout);
+          reject(getAbortError());
+        };
+
+        // The listener is removed when the delay ends, or a waiting loop would add one every iteration
+        timeout = setTimeout(() => {
+          signal.removeEventListener('abort', onAbort);
+          resolve();
+        }, delay);
+
+        signal.addEventListener('abort', onAbort, { once: true });
+      }),
+
+      // Script Settings
+      state: {
+        get: key => this.getScriptState({ id })[key],
+        set: (key, value) => this.setScriptStateValue({ id, key, value }),
+        delete: key => this.setScriptStateValue({ id, key, value: undefined }),
+        keys: () => Object.keys(this.getScriptState({ id })),
+        update: async (key, fn) => this.updateScriptStateValue({ id, key, fn }),
+      },
+
+      // Cross-Script Settings
+      global: {
+        get: key => this.homey.settings.get(`homeyscript-${key}`),
+        set: (key, value) => this.homey.settings.set(`homeyscript-${key}`, value),
+        keys: () => this.homey.settings.getKeys()
+          .filter(key => key.startsWith('homeyscript-'))
+          .map(key => key.substring('homeyscript-'.length)),
+      },
+
+      // Secrets, only those this script has been granted access to
+      secrets: {
+        get: async secretName => this.getSecretValue({ id, name: secretName, onDenied }),
+      },
+
+      // Deprecated
+      setTagValue: async (tokenId, opts, value) => {
+        warn('Warning: setTagValue(id, opts, value) is deprecated, please use tag(id, value)');
+        await setToken({
+          id: tokenId,
+          value,
+          type: opts.type,
+          script: id,
+        });
+      },
+    };
+
+    // In a dry run, calls that change something are recorded instead of executed
+    if (dryRun) {
+      const recordCall = (call, callArgs) => {
+        let serializedArgs;
+        try {
+          serializedArgs = JSON.parse(JSON.stringify(callArgs));
+        } catch (err) {
+          serializedArgs = callArgs.map(arg => util.inspect(arg));
+        }
+
+        dryRunCalls.push({ script: name, call, args: serializedArgs });
+        log(`🧪 Dry Run: ${call}(${serializedArgs.map(arg => JSON.stringify(arg)).join(', ')})`);
+      };
+
+      const intercept = call => async (...callArgs) => recordCall(call, callArgs);
+
+      // Calls the permissions don't allow are still denied
+      globals.Homey = guardHomeyAPI(createDryRunProxy({
+        target: homeyAPI,
+        label: 'Homey',
+        onCall: ({ object, method, args: callArgs }) => recordCall(`${object}.${method}`, callArgs),
+      }));
+      globals.say = intercept('say');
+      globals.tag = Object.assign(async (...callArgs) => {
+        assertTagsAllowed();
+        recordCall('tag', callArgs);
+      }, {
+        get: globals.tag.get,
+        list: globals.tag.list,
+      });
+      globals.trigger = intercept('trigger');
+      globals.setTagValue = async (...callArgs) => {
+        assertTagsAllowed();
+        recordCall('setTagValue', callArgs);
+      };
+      globals.global = {
+        ...globals.global,
+        set: intercept('global.set'),
+      };
+      globals.state = {
+        ...globals.state,
+        set: intercept('state.set'),
+        delete: intercept('state.delete'),
+        update: async (key, fn) => {
+          const value = await fn(globals.state.get(key));
+          recordCall('state.update', [key, value]);
+          return value;
+        },
+      };
+    }
+
+    // Stop the run when it exceeds the timeout, including time spent awaiting
+    const runTimeout = this.homey.setTimeout(() => {
+      abortError = new Error(`Script Timeout: Exceeded ${timeout / 1000}s`);
+      abortError.code = 'TIMEOUT';
+      abortController.abort();
+    }, timeout);
+
+    try {
+      // Validate the arguments and convert them to the types of the parameters of the script. This happens inside the
+      // run, so invalid arguments show up in its history and statistics like any other failure.
+      const scriptParams = this.resolveScriptParams({ parameters, args, params });
+      globals.args = scriptParams.args;
+      globals.params = scriptParams.params;
+      run.args = scriptParams.args;
+
+      // Create the Context
+      const context = vm.createContext({ ...globals });
+
+      // Create the Sandbox
+      const sandbox = this.createSandboxScript({
+        id, name, code, language,
+      });
+
+      const runPromise = sandbox.runInNewContext(context, {
+        displayErrors: true,
+        timeout,
+        microtaskMode: 'afterEvaluate', // from Node 14 should properly timeout async script
+      });
+
+      const result = await Promise.race([runPromise, stopped]);
+      log('\n———————————————————\n✅ Script Success\n');
+      log('↩️ Returned:', JSON.stringify(result, false, 2));
+
+      run.success = true;
+      run.returns = result;
+
+      return result;
+    } catch (err) {
+      const stack = this.mapErrorStack({ stack: err.stack });
+
+      logError('\n———————————————————\n❌ Script Error\n');
+      logError('⚠️', stack);
+
+      run.success = false;
+      run.error = {
+        message: redact(err.message),
+        stack: redact(stack),
+        code: err.code,
+      };
+
+      // Runs that were stopped on purpose didn't fail
+      if (!dryRun && err.code !== 'STOPPED') {
+        this.onScriptFailure({
+          id, name, source, message: run.error.message,
+        }).catch(this.error);
+      }
+
+      // Create a new Error because an Error from the sandbox behaves differently. It's redacted like the run, since
+      // it's passed on to Flows and the API.
+      const error = new Error(run.error.message);
+      error.stack = run.error.stack;
+      error.code = err.code;
+      error.statusCode = err.statusCode;
+      throw error;
+    } finally {
+      this.homey.clearTimeout(runTimeout);
+
+      disposeHomeyAPI();
+
+      this.unregisterRun({ id, runId: run.id });
+      releaseQueue();
+
+      run.endedAt = new Date();
+      run.duration = run.endedAt - run.startedAt;
+
+      try {
+        this.addScriptRun({ id, run, redact });
+      } catch (err) {
+        this.error(`Run History Error (${id}):`, err);
+      }
+
+      // Dry runs don't count, they didn't really happen
+      if (!dryRun) {
+        try {
+          this.addScriptStats({ id, run });
+        } catch (err) {
+          this.error(`Stats Error (${id}):`, err);
+        }
+      }
+    }
+  }
+
+  formatTable({ data, properties }) {
+    let output = '';
+
+    // Node's console formats the table, its output is captured instead of written to stdout
+    const stream = new Writable({
+      write(chunk, encoding, callback) {
+        output += chunk;
+        callback();
+      },
+    });
+
+    new Console({ stdout: stream, colorMode: false }).table(data, properties);
+
+    return output.replace(/\n$/, '');
+  }
+
+  async onScriptFailure({
+    id, name, source, message,
+  }) {
+    const { failureSuppressionWindow } = await this.getSettings();
+    const lastFailure = this.lastFailures[id];
+
+    if (lastFailure
+      && lastFailure.message === message
+      && Date.now() - lastFailure.date < failureSuppressionWindow) {
+      this.log(`[${name}] Failure not reported, it's identical to the previous one`);
+      return;
+    }
+
+    this.lastFailures[id] = { message, date: Date.now() };
+
+    await this.homey.flow.getTriggerCard('scriptFailed').trigger({
+      script: name,
+      error: message,
+      source,
+    });
+
+    if (this.scripts[id] && this.scripts[id].notifyOnFailure) {
+      await this.homey.notifications.createNotification({
+        excerpt: `HomeyScript **${name}** failed: ${message}`,
+      });
+    }
+  }
+
+  async runScriptFromFlow({ id, args = [], source }) {
+    const scriptSource = await this.getEnabledScript({ id });
+
+    return this.runScript({
+      id: scriptSource.id,
+      name: scriptSource.name,
+      code: scriptSource.code,
+      lastExecuted: scriptSource.lastExecuted,
+      args,
+      realtime: false,
+      source,
+    }).finally(() => {
+      this.updateScript({ id: scriptSource.id, lastExecuted: new Date() }).catch(this.error);
+    });
+  }
+
+  async runScriptFromScript({
+    nameOrId, args, depth, writeLog, dryRun, dryRunCalls, callerPermissions,
+  }) {
+    const { callDepthMax } = await this.getSettings();
+
+    if (depth > callDepthMax) {
+      throw new Error(`Maximum Call Depth Exceeded: ${callDepthMax}`);
+    }
+
+    const scriptSource = await this.getScript({ id: this.findScript({ nameOrId }).id });
+
+    return this.runScript({
+      id: scriptSource.id,
+      name: scriptSource.name,
+      code: scriptSource.code,
+      lastExecuted: scriptSource.lastExecuted,
+      args,
+      realtime: false,
+      source: 'script',
+      depth,
+      onLog: entry => writeLog({ ...entry, text: `[${scriptSource.name}] ${entry.text}` }),
+      dryRun,
+      dryRunCalls,
+      callerPermissions,
+    }).finally(() => {
+      if (dryRun) return;
+      this.updateScript({ id: scriptSource.id, lastExecuted: new Date() }).catch(this.error);
+    });
+  }
+
+  async importScript({
+    nameOrId, globals, modules, stack, timeout,
+  }) {
+    const library = Object.values(this.scripts)
+      .find(script => script.library && (script.id === nameOrId || script.name === nameOrId));
+
+    if (!library) {
+      throw new Error(`Library Not Found: ${nameOrId}`);
+    }
+
+    if (stack.includes(library.id)) {
+      const names = [...stack, library.id].map(id => (this.scripts[id] ? this.scripts[id].name : id));
+      throw new Error(`Circular Import: ${names.join(' → ')}`);
+    }
+
+    // A library is evaluated once per run, every import shares its exports
+    if (!modules[library.id]) {
+      const module = { exports: {} };
+      const context = vm.createContext({
+        ...globals,
+        module,
+        exports: module.exports,
+        __filename__: this.getScriptFilename(library),
+        importScript: async name => this.importScript({
+          nameOrId: name,
+          globals,
+          modules,
+          stack: [...stack, library.id],
+          timeout,
+        }),
+      });
+
+      // The timeout of the importing script also applies to the top level of the library
+      modules[library.id] = this.getLibraryScript({ library })
+        .runInContext(context, { displayErrors: true, timeout })
+        .then(() => module.exports);
+    }
+
+    return modules[library.id];
+  }
+
+  getLibraryScript({ library }) {
+    if (!this.libraryScripts[library.id]) {
+      this.libraryScripts[library.id] = this.createSandboxScript({
+        id: library.id,
+        name: library.name,
+        code: library.code,
+        language: library.language,
+      });
+    }
+
+    return this.libraryScripts[library.id];
+  }
+
+  isScriptRunning({ id }) {
+    return Object.keys(this.activeRuns[id] || {}).length > 0;
+  }
+
+  unregisterRun({ id, runId }) {
+    if (!this.activeRuns[id]) return;
+
+    delete this.activeRuns[id][runId];
+
+    if (Object.keys(this.activeRuns[id]).length === 0) {
+      delete this.activeRuns[id];
+    }
+  }
+
+  async waitForRunQueue({ id, stopped }) {
+    const previous = this.runQueues[id] || Promise.resolve();
+
+    let release;
+    const current = new Promise(resolve => {
+      release = resolve;
+    });
+
+    // Runs queued after this one wait until this one has been released
+    const queue = previous.then(() => current);
+    this.runQueues[id] = queue;
+
+    const releaseQueue = () => {
+      release();
+
+      if (this.runQueues[id] === queue) {
+        delete this.runQueues[id];
+      }
+    };
+
+    try {
+      await Promise.race([previous, stopped]);
+    } catch (err) {
+      releaseQueue();
+      throw err;
+    }
+
+    return releaseQueue;
+  }
+
+  abortRuns({ id, runId }) {
+    const activeRuns = this.activeRuns[id] || {};
+    const runIds = Object.keys(activeRuns)
+      .filter(item => runId == null || item === runId);
+
+    for (const item of runIds) {
+      activeRuns[item].abort();
+    }
+
+    return runIds;
+  }
+
+  async stopScript({ id, runId }) {
+    return {
+      stopped: this.abortRuns({ id, runId }),
+    };
+  }
+
+  addScriptRun({ id, run, redact = value => value }) {
+    // Only keep runs of stored scripts
+    if (!this.scripts[id]) return;
+
+    const runs = this.homey.settings.get(`runs-${id}`) || [];
+
+    // The return value is stored as JSON, anything that cannot be serialized is stored as text
+    let returns;
+    try {
+      returns = run.returns === undefined
+        ? undefined
+        : JSON.parse(JSON.stringify(run.returns));
+    } catch (err) {
+      returns = String(run.returns);
+    }
+
+    // Run histories are rewritten on every run, e.g. all devices would be too large to store
+    if (returns !== undefined) {
+      const json = JSON.stringify(returns);
+      const { RUN_RETURNS_BYTES_MAX } = this.constructor;
+
+      if (Buffer.byteLength(json) > RUN_RETURNS_BYTES_MAX) {
+        returns = this.truncateText({ text: json, bytes: RUN_RETURNS_BYTES_MAX });
+      }
+    }
+
+    // Arguments can contain secrets as well, e.g. when passed by `run()`
+    runs.push({
+      ...run,
+      args: redact(run.args),
+      returns: redact(returns),
+    });
+
+    // Drop the oldest runs when the buffer is full
+    runs.splice(0, Math.max(0, runs.length - this.constructor.RUNS_MAX));
+
+    this.homey.settings.set(`runs-${id}`, runs);
+  }
+
+  truncateText({ text, bytes }) {
+    if (Buffer.byteLength(text) <= bytes) return text;
+
+    // A character that was cut in half is dropped
+    const truncated = Buffer.from(text).subarray(0, bytes).toString().replace(/\uFFFD$/, '');
+    return `${truncated}… (truncated)`;
+  }
+
+  async getScriptRuns({ id }) {
+    await this.getScript({ id });
+
+    return (this.homey.settings.get(`runs-${id}`) || [])
+      .map(run => ({
+        ...run,
+        logs: undefined,
+        returns: undefined,
+      }))
+      .reverse();
+  }
+
+  async getScriptRun({ id, runId }) {
+    await this.getScript({ id });
+
+    const run = (this.homey.settings.get(`runs-${id}`) || [])
+      .find(item => item.id === runId);
+
+    if (!run) {
+      throw new Error('Run Not Found');
+    }
+
+    return run;
+  }
+
+  // Statistics are kept in daily buckets, in the timezone of Homey
+  getStatsDate({ date = new Date() } = {}) {
+    return date.toLocaleDateString('en-CA', { timeZone: this.homey.clock.getTimezone() }); // YYYY-MM-DD
+  }
+
+  getScriptStatsSetting({ id }) {
+    return this.homey.settings.get(`stats-${id}`) || { lastError: null, days: [] };
+  }
+
+  addScriptStats({ id, run }) {
+    // Only keep statistics of stored scripts
+    if (!this.scripts[id]) return;
+
+    // Stopped runs count as runs, not as failures
+    const stopped = run.error && run.error.code === 'STOPPED';
+    const stats = this.getScriptStatsSetting({ id });
+    const date = this.getStatsDate({ date: run.startedAt });
+
+    let day = stats.days.find(item => item.date === date);
+    if (!day) {
+      day = {
+        date,
+        runs: 0,
+        failures: 0,
+        timeouts: 0,
+        totalDuration: 0,
+        durations: [],
+      };
+      stats.days.push(day);
+    }
+
+    day.runs += 1;
+    day.totalDuration += run.duration;
+    day.durations.push(run.duration);
+    day.durations.splice(0, Math.max(0, day.durations.length - this.constructor.STATS_DURATIONS_MAX));
+
+    if (run.success === false && !stopped) {
+      day.failures += 1;
+
+      if (run.error.code === 'TIMEOUT') {
+        day.timeouts += 1;
+      }
+
+      stats.lastError = {
+        message: run.error.message,
+        code: run.error.code,
+        date: run.endedAt,
+        runId: run.id,
+      };
+    }
+
+    // Drop the oldest days
+    stats.days.sort((a, b) => a.date.localeCompare(b.date));
+    stats.days.splice(0, Math.max(0, stats.days.length - this.constructor.STATS_DAYS_MAX));
+
+    this.homey.settings.set(`stats-${id}`, stats);
+  }
+
+  summarizeStats({ days }) {
+    const durations = days
+      .flatMap(day => day.durations)
+      .sort((a, b) => a - b);
+
+    const runs = _.sumBy(days, 'runs');
+    const totalDuration = _.sumBy(days, 'totalDuration');
+
+    return {
+      runs,
+      failures: _.sumBy(days, 'failures'),
+      timeouts: _.sumBy(days, 'timeouts'),
+      averageDuration: runs > 0 ? Math.round(totalDuration / runs) : null,
+      p95Duration: durations.length > 0
+        ? durations[Math.ceil(durations.length * 0.95) - 1]
+        : null,
+    };
+  }
+
+  // The days since `days - 1` days ago, including today
+  getStatsDays({ stats, days }) {
+    const { STATS_DAYS_MAX } = this.constructor;
+
+    if (!Number.isInteger(days) || days < 1 || days > STATS_DAYS_MAX) {
+      throw new Error(`Invalid Days: Expected a number between 1 and ${STATS_DAYS_MAX}`);
+    }
+
+    const from = this.getStatsDate({ date: new Date(Date.now() - (days - 1) * 1000 * 60 * 60 * 24) });
+    return stats.days.filter(day => day.date >= from);
+  }
+
+  async getScriptStats({ id, days = this.constructor.STATS_DAYS_MAX }) {
+    await this.getScript({ id });
+
+    const stats = this.getScriptStatsSetting({ id });
+    const statsDays = this.getStatsDays({ stats, days });
+
+    return {
+      ...this.summarizeStats({ days: statsDays }),
+      lastError: stats.lastError,
+      days: statsDays.map(day => ({
+        date: day.date,
+        ...this.summarizeStats({ days: [day] }),
+      })),
+    };
+  }
+
+  async getStats({ days = this.constructor.STATS_DAYS_MAX }) {
+    const scripts = {};
+    const allDays = [];
+
+    for (const id of Object.keys(this.scripts)) {
+      const stats = this.getScriptStatsSetting({ id });
+      const statsDays = this.getStatsDays({ stats, days });
+
+      scripts[id] = {
+        ...this.summarizeStats({ days: statsDays }),
+        lastError: stats.lastError,
+      };
+
+      allDays.push(...statsDays);
+    }
+
+    return {
+      ...this.summarizeStats({ days: allDays }),
+      days: Object.entries(_.groupBy(allDays, 'date'))
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([date, dateDays]) => ({
+          date,
+          ...this.summarizeStats({ days: dateDays }),
+        })),
+      scripts,
+    };
+  }
+
+  async resetScriptStats({ id }) {
+    await this.getScript({ id });
+    this.homey.settings.unset(`stats-${id}`);
+  }
+
+  async resetStats() {
+    for (const id of Object.keys(this.scripts)) {
+      this.homey.settings.unset(`stats-${id}`);
+    }
+  }
+
+  async createScript({
+    id = uuid.v4(),
+    name,
+    code,
+    schedules = [],
+    concurrency = 'parallel',
+    timeout = this.constructor.RUN_TIMEOUT,
+    library = false,
+    language = 'javascript',
+    logLevel = 'debug',
+    permissions: scriptPermissions = {},
+    description = '',
+    folder = null,
+    tags = [],
+    enabled = true,
+    parameters = [],
+    notifyOnFailure = false,
+  }) {
+    const parsedParameters = this.parseParameters({ parameters });
+    this.validateMetadata({
+      description, folder, tags, enabled, notifyOnFailure,
+    });
+    this.validateConcurrency({ concurrency });
+    this.validateTimeout({ timeout });
+    this.validateLanguage({ language });
+    this.validateLogLevel({ logLevel });
+    const parsedPermissions = this.parsePermissions({ permissions: scriptPermissions });
+    await this.assertValidCode({ name, code, language });
+
+    const newScript = {
+      id,
+      name,
+      code,
+      schedules: this.parseSchedules({ schedules }),
+      concurrency,
+      timeout,
+      library: !!library,
+      language,
+      logLevel,
+      permissions: parsedPermissions,
+      description,
+      folder: folder || null,
+      tags: _.uniq(tags),
+      enabled,
+      parameters: parsedParameters,
+      notifyOnFailure,
+      lastExecuted: null,
+    };
+
+    this.scripts[newScript.id] = newScript;
+    this.homey.settings.set('scripts', this.scripts);
+
+    this.addScriptRevision({ script: newScript });
+    this.scheduleScript({ id: newScript.id });
+
+    return newScript;
+  }
+
+  async updateScript({
+    id,
+    name,
+    code,
+    lastExecuted,
+    message,
+    schedules,
+    concurrency,
+    timeout,
+    library,
+    language,
+    logLevel,
+    permissions: scriptPermissions,
+    description,
+    folder,
+    tags,
+    enabled,
+    parameters,
+    notifyOnFailure,
+  }) {
+    // e.g. a run that finished after its script was deleted must not create it again
+    await this.getScript({ id });
+
+    this.validateMetadata({
+      description, folder, tags, enabled, notifyOnFailure,
+    });
+
+    const parsedParameters = parameters != null
+      ? this.parseParameters({ parameters })
+      : null;
+
+    if (concurrency != null) {
+      this.validateConcurrency({ concurrency });
+    }
+
+    if (timeout != null) {
+      this.validateTimeout({ timeout });
+    }
+
+    if (language != null) {
+      this.validateLanguage({ language });
+    }
+
+    if (logLevel != null) {
+      this.validateLogLevel({ logLevel });
+    }
+
+    if (code != null || language != null) {
+      await this.assertValidCode({
+        name: name != null ? name : this.scripts[id].name,
+        code: code != null ? code : this.scripts[id].code,
+        language: language != null ? language : this.scripts[id].language,
+      });
+    }
+
+    const previousScript = this.scripts[id];
+    const parsedSchedules = schedules != null
+      ? this.parseSchedules({ schedules })
+      : null;
+
+    // Permissions that are left out keep their current value
+    const parsedPermissions = scriptPermissions != null
+      ? this.parsePermissions({
+        permissions: scriptPermissions,
+        current: previousScript && previousScript.permissions,
+      })
+      : null;
+
+    this.scripts[id] = {
+      ...this.scripts[id],
+    };
+
+    if (name != null) {
+      this.scripts[id].name = name;
+    }
+
+    if (code != null) {
+      this.scripts[id].code = code;
+    }
+
+    if (lastExecuted != null) {
+      this.scripts[id].lastExecuted = lastExecuted;
+    }
+
+    if (parsedSchedules != null) {
+      this.scripts[id].schedules = parsedSchedules;
+    }
+
+    if (concurrency != null) {
+      this.scripts[id].concurrency = concurrency;
+    }
+
+    if (timeout != null) {
+      this.scripts[id].timeout = timeout;
+    }
+
+    if (library != null) {
+      this.scripts[id].library = !!library;
+    }
+
+    if (language != null) {
+      this.scripts[id].language = language;
+    }
+
+    if (logLevel != null) {
+      this.scripts[id].logLevel = logLevel;
+    }
+
+    if (parsedPermissions != null) {
+      this.scripts[id].permissions = parsedPermissions;
+    }
+
+    if (description != null) {
+      this.scripts[id].description = description;
+    }
+
+    // An empty folder moves the script out of its folder
+    if (folder !== undefined) {
+      this.scripts[id].folder = folder || null;
+    }
+
+    if (tags != null) {
+      this.scripts[id].tags = _.uniq(tags);
+    }
+
+    if (enabled != null) {
+      this.scripts[id].enabled = enabled;
+    }
+
+    if (parsedParameters != null) {
+      this.scripts[id].parameters = parsedParameters;
+    }
+
+    if (notifyOnFailure != null) {
+      this.scripts[id].notifyOnFailure = notifyOnFailure;
+    }
+
+    // Invalidate the compiled code, it's compiled again on the next run or import
+    if (name != null || code != null || library != null || language != null) {
+      delete this.libraryScripts[id];
+      delete this.compiledScripts[id];
+    }
+
+    this.homey.settings.set('scripts', this.scripts);
+
+    if (parsedSchedules != null || enabled != null) {
+      this.scheduleScript({ id });
+    }
+
+    // Keep a revision when the name or code has changed
+    if (previousScript
+      && (previousScript.name !== this.scripts[id].name || previousScript.code !== this.scripts[id].code)) {
+      // Scripts saved before revisions existed get their previous state as the first revision
+      if (this.getScriptRevisionsSetting({ id }).length === 0) {
+        this.addScriptRevision({ script: previousScript });
+      }
+
+      this.addScriptRevision({ script: this.scripts[id], message });
+    }
+
+    return this.scripts[id];
+  }
+
+  async deleteScript({ id, deleteTokens = false }) {
+    this.unscheduleScript({ id });
+    await this.stopScript({ id });
+
+    // Tags created by this script would be orphaned
+    if (deleteTokens) {
+      await this.deleteOrphanedTokens({ script: id });
+    }
+
+    delete this.scripts[id];
+    delete this.libraryScripts[id];
+    delete this.compiledScripts[id];
+    this.homey.settings.set('scripts', this.scripts);
+    this.homey.settings.unset(`revisions-${id}`);
+    this.homey.settings.unset(`runs-${id}`);
+    this.homey.settings.unset(`state-${id}`);
+    delete this.webhookRequests[id];
+    delete this.lastFailures[id];
+    this.homey.settings.unset(`stats-${id}`);
+
+    const webhooks = this.getWebhooksSetting();
+    delete webhooks[id];
+    this.homey.settings.set('webhooks', webhooks);
+
+    // Remove the access of this script to secrets
+    const secrets = this.getSecretsSetting();
+    for (const secret of Object.values(secrets)) {
+      secret.scripts = secret.scripts.filter(scriptId => scriptId !== id);
+    }
+    this.homey.settings.set('secrets', secrets);
+  }
+
+  getSecretsSetting() {
+    return this.homey.settings.get('secrets') || {};
+  }
+
+  // Secrets are write-only, their values are never returned by the API
+  async getSecrets() {
+    return _.mapValues(this.getSecretsSetting(), secret => _.omit(secret, 'value'));
+  }
+
+  async setSecret({ name, value, scripts }) {
+    if (!_.isString(name) || !/^[\w.-]+$/.test(name)) {
+      throw new Error('Invalid Name: Expected letters, digits, `_`, `.` or `-`');
+    }
+
+    const secrets = this.getSecretsSetting();
+    const secret = secrets[name];
+
+    if (value != null && !(_.isString(value) && value.length > 0)) {
+      throw new Error('Invalid Value: Expected a string');
+    }
+
+    if (value == null && !secret) {
+      throw new Error('Invalid Value: A new secret needs a value');
+    }
+
+    if (scripts != null) {
+      if (!Array.isArray(scripts)) {
+        throw new Error('Invalid Scripts: Expected an array of script IDs');
+      }
+
+      for (const scriptId of scripts) {
+        if (!this.scripts[scriptId]) {
+          throw new Error(`Script Not Found: ${scriptId}`);
+        }
+      }
+    }
+
+    const now = new Date();
+    const previousSecret = secret || { scripts: [], createdAt: now };
+
+    secrets[name] = {
+      name,
+      value: value != null ? value : previousSecret.value,
+      scripts: scripts != null ? _.uniq(scripts) : previousSecret.scripts,
+      createdAt: previousSecret.createdAt,
+      updatedAt: now,
+    };
+
+    this.homey.settings.set('secrets', secrets);
+
+    return _.omit(secrets[name], 'value');
+  }
+
+  async deleteSecret({ name }) {
+    const secrets = this.getSecretsSetting();
+
+    if (!secrets[name]) {
+      throw new Error('Secret Not Found');
+    }
+
+    delete secrets[name];
+    this.homey.settings.set('secrets', secrets);
+  }
+
+  getSecretValue({ id, name, onDenied }) {
+    const secret = this.getSecretsSetting()[name];
+
+    if (!secret) {
+      throw new Error(`Secret Not Found: ${name}`);
+    }
+
+    if (!secret.scripts.includes(id)) {
+      throw onDenied(permissions.createPermissionError(`This script has no access to secret '${name}'`));
+    }
+
+    return secret.value;
+  }
+
+  // Replaces the values of all secrets in a string, or in the strings of a JSON value, by `***`
+  createSecretRedactor() {
+    const values = Object.values(this.getSecretsSetting())
+      .map(secret => secret.value)
+      .filter(value => value.length >= this.constructor.SECRET_REDACT_LENGTH_MIN)
+      .sort((a, b) => b.length - a.length);
+
+    if (values.length === 0) return value => value;
+
+    const redactString = text => values.reduce((result, value) => result.split(value).join('***'), text);
+
+    return value => _.cloneDeepWith(value, item => (typeof item === 'string' ? redactString(item) : undefined));
+  }
+
+  async getBackup() {
+    const scripts = {};
+    const state = {};
+
+    for (const script of Object.values(this.scripts)) {
+      scripts[script.id] = script;
+
+      const scriptState = this.getScriptState({ id: script.id });
+      if (Object.keys(scriptState).length > 0) {
+        state[script.id] = scriptState;
+      }
+    }
+
+    const globals = {};
+    for (const key of this.homey.settings.getKeys()) {
+      if (key.startsWith('homeyscript-')) {
+        globals[key.substring('homeyscript-'.length)] = this.homey.settings.get(key);
+      }
+    }
+
+    return {
+      version: this.constructor.BACKUP_VERSION,
+      createdAt: new Date(),
+      scripts,
+      state,
+      globals,
+      tokens: this.tokens,
+    };
+  }
+
+  async validateBackup({ backup }) {
+    if (!_.isPlainObject(backup)) {
+      throw new Error('Invalid Backup: Expected an object');
+    }
+
+    if (backup.version !== this.constructor.BACKUP_VERSION) {
+      throw new Error(`Invalid Backup: Unsupported version '${backup.version}'`);
+    }
+
+    for (const key of ['scripts', 'state', 'globals', 'tokens']) {
+      if (backup[key] != null && !_.isPlainObject(backup[key])) {
+        throw new Error(`Invalid Backup: \`${key}\` must be an object`);
+      }
+    }
+
+    for (const [id, script] of Object.entries(backup.scripts || {})) {
+      if (!_.isPlainObject(script) || typeof script.name !== 'string' || typeof script.code !== 'string') {
+        throw new Error(`Invalid Backup: Script '${id}' must have a name and code`);
+      }
+
+      this.parseSchedules({ schedules: script.schedules || [] });
+      if (script.concurrency != null) this.validateConcurrency({ concurrency: script.concurrency });
+      if (script.timeout != null) this.validateTimeout({ timeout: script.timeout });
+      if (script.language != null) this.validateLanguage({ language: script.language });
+      if (script.logLevel != null) this.validateLogLevel({ logLevel: script.logLevel });
+      if (script.permissions != null) this.parsePermissions({ permissions: script.permissions });
+      this.validateMetadata(script);
+      if (script.parameters != null) this.parseParameters({ parameters: script.parameters });
+
+      // Otherwise a script with invalid code would fail halfway through the restore
+      await this.assertValidCode({ name: script.name, code: script.code, language: script.language || undefined });
+    }
+
+    for (const [id, token] of Object.entries(backup.tokens || {})) {
+      if (!_.isPlainObject(token) || !this.constructor.TOKEN_TYPES.includes(token.type)) {
+        throw new Error(`Invalid Backup: Tag '${id}' has an invalid type`);
+      }
+    }
+  }
+
+  async restoreBackup({ backup, strategy = 'skip' }) {
+    if (!this.constructor.BACKUP_STRATEGIES.includes(strategy)) {
+      throw new Error(`Invalid Strategy: Expected one of ${this.constructor.BACKUP_STRATEGIES.join(', ')}`);
+    }
+
+    // Validate everything before anything is restored
+    await this.validateBackup({ backup });
+
+    const result = {
+      scripts: {
+        created: [], overwritten: [], renamed: [], skipped: [],
+      },
+      globals: {
+        created: [], overwritten: [], skipped: [],
+      },
+      tokens: {
+        created: [], overwritten: [], skipped: [],
+      },
+    };
+
+    const state = backup.state || {};
+
+    // Scripts keep their ID, so Flow cards referring to them keep working
+    for (const [id, script] of Object.entries(backup.scripts || {})) {
+      const properties = {
+        name: script.name,
+        code: script.code,
+        schedules: script.schedules || [],
+        concurrency: script.concurrency || undefined,
+        timeout: script.timeout || undefined,
+        library: !!script.library,
+        language: script.language || undefined,
+        logLevel: script.logLevel || undefined,
+        permissions: script.permissions || undefined,
+        description: script.description || undefined,
+        folder: script.folder || undefined,
+        tags: script.tags || undefined,
+        enabled: script.enabled !== false,
+        parameters: script.parameters || undefined,
+        notifyOnFailure: !!script.notifyOnFailure,
+      };
+
+      let scriptId = id;
+
+      if (!this.scripts[id]) {
+        await this.createScript({ id, ...properties });
+        result.scripts.created.push(id);
+      } else if (strategy === 'overwrite') {
+        await this.updateScript({ id, ...properties, message: 'Restored from backup' });
+        result.scripts.overwritten.push(id);
+      } else if (strategy === 'rename') {
+        const newScript = await this.createScript({ ...properties, name: `${script.name} (restored)` });
+        scriptId = newScript.id;
+        result.scripts.renamed.push(scriptId);
+      } else {
+        result.scripts.skipped.push(id);
+        continue;
+      }
+
+      if (_.isPlainObject(state[id])) {
+        this.homey.settings.set(`state-${scriptId}`, state[id]);
+      }
+    }
+
+    // Globals and Tags are referred to by their key, so they can only be skipped or overwritten
+    for (const [key, value] of Object.entries(backup.globals || {})) {
+      const exists = this.homey.settings.getKeys().includes(`homeyscript-${key}`);
+
+      if (exists && strategy !== 'overwrite') {
+        result.globals.skipped.push(key);
+        continue;
+      }
+
+      this.homey.settings.set(`homeyscript-${key}`, value);
+      result.globals[exists ? 'overwritten' : 'created'].push(key);
+    }
+
+    for (const [id, token] of Object.entries(backup.tokens || {})) {
+      const exists = !!this.tokens[id];
+
+      if (exists && strategy !== 'overwrite') {
+        result.tokens.skipped.push(id);
+        continue;
+      }
+
+      await this.setToken({
+        id,
+        value: token.value,
+        type: token.type,
+        title: token.title,
+        script: token.script,
+      });
+      result.tokens[exists ? 'overwritten' : 'created'].push(id);
+    }
+
+    return result;
+  }
+
+  // Webhooks are stored apart from the scripts, so their secrets aren't returned with a script, or in a backup
+  getWebhooksSetting() {
+    return this.homey.settings.get('webhooks') || {};
+  }
+
+  async enableScriptWebhook({ id }) {
+    await this.getScript({ id });
+
+    const webhook = this.getWebhooksSetting()[id] || {};
+    return this.setScriptWebhook({
+      id,
+      webhook: {
+        enabled: true,
+        secret: webhook.secret || this.createWebhookSecret(),
+      },
+    });
+  }
+
+  async disableScriptWebhook({ id }) {
+    await this.getScript({ id });
+
+    const webhook = this.getWebhooksSetting()[id] || {};
+    delete this.webhookRequests[id];
+
+    const { secret, ...result } = this.setScriptWebhook({
+      id,
+      webhook: {
+        ...webhook,
+        enabled: false,
+      },
+    });
+
+    return result;
+  }
+
+  async rotateScriptWebhookSecret({ id }) {
+    await this.getScript({ id });
+
+    const webhook = this.getWebhooksSetting()[id] || {};
+    return this.setScriptWebhook({
+      id,
+      webhook: {
+        enabled: !!webhook.enabled,
+        secret: this.createWebhookSecret(),
+      },
+    });
+  }
+
+  createWebhookSecret() {
+    return crypto.randomBytes(32).toString('hex');
+  }
+
+  setScriptWebhook({ id, webhook }) {
+    const webhooks = this.getWebhooksSetting();
+    webhooks[id] = webhook;
+    this.homey.settings.set('webhooks', webhooks);
+
+    return {
+      ...webhook,
+      path: `/api/app/${this.homey.manifest.id}/webhook/${id}`,
+    };
+  }
+
+  isWebhookRateLimited({ id }) {
+    const now = Date.now();
+    const requests = (this.webhookRequests[id] || [])
+      .filter(timestamp => timestamp > now - this.constructor.WEBHOOK_RATE_LIMIT_WINDOW);
+
+    requests.push(now);
+    this.webhookRequests[id] = requests;
+
+    return requests.length > this.constructor.WEBHOOK_RATE_LIMIT;
+  }
+
+  async runWebhook({
+    id, secret, method, query = {}, body,
+  }) {
+    const createError = (message, statusCode) => {
+      const error = new Error(message);
+      error.statusCode = statusCode;
+      return error;
+    };
+
+    const script = this.scripts[id];
+    const webhook = script && this.getWebhooksSetting()[id];
+
+    // Unknown IDs are rejected before rate limiting, so they don't leave anything behind
+    if (!webhook || !webhook.enabled) {
+      throw createError('Not Found', 404);
+    }
+
+    // Requests with a wrong secret count as well, to slow down guessing the secret
+    if (this.isWebhookRateLimited({ id })) {
+      throw createError('Too Many Requests', 429);
+    }
+
+    const expected = Buffer.from(webhook.secret);
+    const actual = Buffer.from(String(secret || ''));
+
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      throw createError('Unauthorized', 401);
+    }
+
+    if (script.enabled === false) {
+      throw createError(`Script Disabled: ${script.name}`, 403);
+    }
+
+    const scriptSource = await this.getScript({ id });
+    const response = { statusCode: 200 };
+
+    let result;
+
+    try {
+      result = await this.runScript({
+        id: scriptSource.id,
+        name: scriptSource.name,
+        code: scriptSource.code,
+        lastExecuted: scriptSource.lastExecuted,
+        realtime: false,
+        source: 'webhook',
+        request: {
+          method,
+          query,
+          body,
+        },
+        response,
+      });
+    } catch (err) {
+      // A script can choose the status code by throwing an Error with a `statusCode`
+      throw createError(err.message, err.statusCode || 500);
+    } finally {
+      this.updateScript({ id: scriptSource.id, lastExecuted: new Date() }).catch(this.error);
+    }
+
+    const { statusCode } = response;
+
+    if (!Number.isInteger(statusCode) || statusCode < 200 || statusCode > 599) {
+      throw createError(`Invalid Status Code: ${statusCode}`, 500);
+    }
+
+    // The app API responds to a returned value with status 200, other statuses are sent as an error
+    if (statusCode >= 300) {
+      throw createError(typeof result === 'string' ? result : JSON.stringify(result), statusCode);
+    }
+
+    return result;
+  }
+
+  async exportScript({ id }) {
+    const script = await this.getScript({ id });
+
+    return {
+      script,
+      state: this.getScriptState({ id }),
+    };
+  }
+
+  getScriptState({ id }) {
+    return this.homey.settings.get(`state-${id}`) || {};
+  }
+
+  setScriptStateValue({ id, key, value }) {
+    const state = this.getScriptState({ id });
+
+    if (typeof value === 'undefined') {
+      delete state[key];
+    } else {
+      state[key] = value;
+    }
+
+    if (Object.keys(state).length === 0) {
+      this.homey.settings.unset(`state-${id}`);
+    } else {
+      this.homey.settings.set(`state-${id}`, state);
+    }
+  }
+
+  async updateScriptStateValue({ id, key, fn }) {
+    if (typeof fn !== 'function') {
+      throw new Error('Invalid Update: Expected a function');
+    }
+
+    // Updates of the same script run one after another, so no update reads a stale value
+    const previous = this.stateUpdates[id] || Promise.resolve();
+    const update = previous.then(async () => {
+      const value = await fn(this.getScriptState({ id })[key]);
+      this.setScriptStateValue({ id, key, value });
+      return value;
+    });
+
+    const queue = update.catch(() => {});
+    this.stateUpdates[id] = queue;
+    queue.then(() => {
+      if (this.stateUpdates[id] === queue) {
+        delete this.stateUpdates[id];
+      }
+    });
+
+    return update;
+  }
+
+  getScriptRevisionsSetting({ id }) {
+    return this.homey.settings.get(`revisions-${id}`) || [];
+  }
+
+  addScriptRevision({ script, message = null }) {
+    const revisions = this.getScriptRevisionsSetting({ id: script.id });
+    const lastRevision = revisions[revisions.length - 1];
+    const code = script.code || '';
+
+    revisions.push({
+      id: lastRevision ? lastRevision.id + 1 : 1,
+      name: script.name,
+      code,
+      size: Buffer.byteLength(code, 'utf8'),
+      message,
+      createdAt: new Date(),
+    });
+
+    // Drop the oldest revisions when the retention limit has been reached
+    revisions.splice(0, Math.max(0, revisions.length - this.constructor.REVISIONS_MAX));
+
+    this.homey.settings.set(`revisions-${script.id}`, revisions);
+  }
+
+  async getScriptRevisions({ id }) {
+    await this.getScript({ id });
+
+    return this.getScriptRevisionsSetting({ id })
+      .map(revision => ({
+        ...revision,
+        code: undefined,
+      }))
+      .reverse();
+  }
+
+  async getScriptRevision({ id, revision }) {
+    await this.getScript({ id });
+
+    const scriptRevision = this.getScriptRevisionsSetting({ id })
+      .find(item => item.id === Number(revision));
+
+    if (!scriptRevision) {
+      throw new Error('Revision Not Found');
+    }
+
+    return scriptRevision;
+  }
+
+  async getScriptRevisionDiff({ id, from, to }) {
+    const script = await this.getScript({ id });
+    const fromRevision = await this.getScriptRevision({ id, revision: from });
+
+    // Diff against the current code when no target revision has been provided
+    const toRevision = to == null
+      ? { id: null, name: script.name, code: script.code }
+      : await this.getScriptRevision({ id, revision: to });
+
+    return {
+      from: fromRevision.id,
+      to: toRevision.id,
+      patch: Diff.createTwoFilesPatch(
+        `${fromRevision.name}.js`,
+        `${toRevision.name}.js`,
+        fromRevision.code,
+        toRevision.code,
+        `revision ${fromRevision.id}`,
+        toRevision.id == null ? 'current' : `revision ${toRevision.id}`,
+      ),
+    };
+  }
+
+  async restoreScriptRevision({ id, revision }) {
+    const scriptRevision = await this.getScriptRevision({ id, revision });
+
+    return this.updateScript({
+      id,
+      name: scriptRevision.name,
+      code: scriptRevision.code,
+      message: `Restored revision ${scriptRevision.id}`,
+    });
+  }
+
+  validateConcurrency({ concurrency }) {
+    if (!this.constructor.CONCURRENCY_MODES.includes(concurrency)) {
+      throw new Error(`Invalid Concurrency: Expected one of ${this.constructor.CONCURRENCY_MODES.join(', ')}`);
+    }
+  }
+
+  validateLanguage({ language }) {
+    if (!this.constructor.LANGUAGES.includes(language)) {
+      throw new Error(`Invalid Language: Expected one of ${this.constructor.LANGUAGES.join(', ')}`);
+    }
+  }
+
+  validateLogLevel({ logLevel }) {
+    if (!this.constructor.LOG_LEVELS.includes(logLevel)) {
+      throw new Error(`Invalid Log Level: Expected one of ${this.constructor.LOG_LEVELS.join(', ')}`);
+    }
+  }
+
+  validateMetadata({
+    description, folder, tags, enabled, notifyOnFailure,
+  }) {
+    if (description != null && !_.isString(description)) {
+      throw new Error('Invalid Description: Expected a string');
+    }
+
+    if (folder != null && !_.isString(folder)) {
+      throw new Error('Invalid Folder: Expected a string');
+    }
+
+    if (tags != null && !(Array.isArray(tags) && tags.every(tag => _.isString(tag) && tag.length > 0))) {
+      throw new Error('Invalid Tags: Expected an array of strings');
+    }
+
+    if (enabled != null && !_.isBoolean(enabled)) {
+      throw new Error('Invalid Enabled: Expected a boolean');
+    }
+
+    if (notifyOnFailure != null && !_.isBoolean(notifyOnFailure)) {
+      throw new Error('Invalid Notify On Failure: Expected a boolean');
+    }
+  }
+
+  parseParameters({ parameters }) {
+    if (!Array.isArray(parameters)) {
+      throw new Error('Invalid Parameters: Expected an array');
+    }
+
+    const names = new Set();
+
+    return parameters.map(parameter => {
+      const {
+        name, type = 'string', required = false, default: defaultValue = null,
+      } = parameter || {};
+
+      if (!_.isString(name) || !/^[A-Za-z_$][\w$]*$/.test(name)) {
+        throw new Error(`Invalid Parameters: '${name}' is not a valid name`);
+      }
+
+      if (names.has(name)) {
+        throw new Error(`Invalid Parameters: '${name}' is declared more than once`);
+      }
+
+      names.add(name);
+
+      if (!this.constructor.PARAMETER_TYPES.includes(type)) {
+        throw new Error(`Invalid Parameters: The type of '${name}' must be one of ${this.constructor.PARAMETER_TYPES.join(', ')}`);
+      }
+
+      if (!_.isBoolean(required)) {
+        throw new Error(`Invalid Parameters: \`required\` of '${name}' must be a boolean`);
+      }
+
+      const parsedParameter = { name, type, required };
+
+      if (defaultValue !== null) {
+        parsedParameter.default = this.coerceParameter({ parameter: parsedParameter, value: defaultValue });
+      }
+
+      return parsedParameter;
+    });
+  }
+
+  coerceParameter({ parameter, value }) {
+    const { name, type } = parameter;
+
+    if (type === 'string' && ['string', 'number', 'boolean'].includes(typeof value)) {
+      return String(value);
+    }
+
+    if (type === 'number') {
+      const number = _.isString(value) && value.trim() !== ''
+        ? Number(value)
+        : value;
+
+      if (_.isFinite(number)) return number;
+    }
+
+    if (type === 'boolean') {
+      if (_.isBoolean(value)) return value;
+      if (['true', '1'].includes(String(value).toLowerCase())) return true;
+      if (['false', '0'].includes(String(value).toLowerCase())) return false;
+    }
+
+    if (type === 'json') {
+      if (!_.isString(value)) return value;
+
+      try {
+        return JSON.parse(value);
+      } catch (err) {
+        throw new Error(`Invalid Parameter: '${name}' must be valid JSON`);
+      }
+    }
+
+    throw new Error(`Invalid Parameter: '${name}' must be a ${type}`);
+  }
+
+  resolveScriptParams({ parameters, args, params }) {
+    if (!Array.isArray(args)) {
+      throw new Error('Invalid Arguments: Expected an array');
+    }
+
+    if (params != null && !_.isPlainObject(params)) {
+      throw new Error('Invalid Parameters: Expected an object');
+    }
+
+    const namedParams = params || {};
+
+    for (const key of Object.keys(namedParams)) {
+      if (!parameters.some(parameter => parameter.name === key)) {
+        throw new Error(`Invalid Parameter: '${key}' is not a parameter of this script`);
+      }
+    }
+
+    // Parameters are passed by name, or by position in `args`
+    const resolvedArgs = [...args];
+    const resolvedParams = {};
+
+    parameters.forEach((parameter, index) => {
+      const value = parameter.name in namedParams
+        ? namedParams[parameter.name]
+        : args[index];
+
+      let resolvedValue;
+
+      if (value === undefined || value === null || value === '') {
+        if (parameter.required && parameter.default === undefined) {
+          throw new Error(`Invalid Parameter: '${parameter.name}' is required`);
+        }
+
+        resolvedValue = parameter.default !== undefined ? parameter.default : null;
+      } else {
+        resolvedValue = this.coerceParameter({ parameter, value });
+      }
+
+      resolvedParams[parameter.name] = resolvedValue;
+      resolvedArgs[index] = resolvedValue;
+    });
+
+    return { args: resolvedArgs, params: resolvedParams };
+  }
+
+  parsePermissions({ permissions: scriptPermissions, current = {} }) {
+    if (!_.isPlainObject(scriptPermissions)) {
+      throw new Error('Invalid Permissions: Expected an object');
+    }
+
+    const { DEFAULT_PERMISSIONS } = this.constructor;
+
+    for (const key of Object.keys(scriptPermissions)) {
+      if (!(key in DEFAULT_PERMISSIONS)) {
+        throw new Error(`Invalid Permissions: Unknown permission '${key}'`);
+      }
+    }
+
+    const parsedPermissions = {
+      ...DEFAULT_PERMISSIONS,
+      ...current,
+      ...scriptPermissions,
+    };
+
+    for (const key of ['hosts', 'managers']) {
+      const value = parsedPermissions[key];
+
+      if (value !== null && !(Array.isArray(value) && value.every(item => _.isString(item) && item.length > 0))) {
+        throw new Error(`Invalid Permissions: \`${key}\` must be null or an array of strings`);
+      }
+    }
+
+    for (const key of ['readOnlyDevices', 'tags']) {
+      if (!_.isBoolean(parsedPermissions[key])) {
+        throw new Error(`Invalid Permissions: \`${key}\` must be a boolean`);
+      }
+    }
+
+    return parsedPermissions;
+  }
+
+  async getTypeDefinitions() {
+    return typescript.getDefinitions();
+  }
+
+  validateTimeout({ timeout }) {
+    const { RUN_TIMEOUT_MIN, RUN_TIMEOUT_MAX } = this.constructor;
+
+    if (typeof timeout !== 'number' || timeout < RUN_TIMEOUT_MIN || timeout > RUN_TIMEOUT_MAX) {
+      throw new Error(`Invalid Timeout: Expected a number between ${RUN_TIMEOUT_MIN} and ${RUN_TIMEOUT_MAX}ms`);
+    }
+  }
+
+  parseSchedules({ schedules }) {
+    if (!Array.isArray(schedules)) {
+      throw new Error('Invalid Schedules: Expected an array');
+    }
+
+    return schedules.map(schedule => {
+      const {
+        type, cron, interval, timezone = this.homey.clock.getTimezone(),
+      } = schedule || {};
+
+      if (type === 'cron') {
+        try {
+          cronParser.parseExpression(cron, { tz: timezone });
+        } catch (err) {
+          throw new Error(`Invalid Schedule: ${err.message}`);
+        }
+
+        return {
+          id: schedule.id || uuid.v4(),
+          type,
+          cron,
+          timezone,
+        };
+      }
+
+      if (type === 'interval') {
+        if (typeof interval !== 'number' || interval < this.constructor.SCHEDULE_INTERVAL_MIN) {
+          throw new Error(`Invalid Schedule: Interval must be at least ${this.constructor.SCHEDULE_INTERVAL_MIN}ms`);
+        }
+
+        return {
+          id: schedule.id || uuid.v4(),
+          type,
+          interval,
+        };
+      }
+
+      throw new Error(`Invalid Schedule: Unknown type '${type}'`);
+    });
+  }
+
+  getScheduleRuns({ schedule, from = new Date(), count = 1 }) {
+    const runs = [];
+
+    if (schedule.type === 'cron') {
+      const expression = cronParser.parseExpression(schedule.cron, {
+        currentDate: from,
+        tz: schedule.timezone,
+      });
+
+      for (let i = 0; i < count; i++) {
+        runs.push(expression.next().toDate());
+      }
+    }
+
+    if (schedule.type === 'interval') {
+      for (let i = 1; i <= count; i++) {
+        runs.push(new Date(from.getTime() + schedule.interval * i));
+      }
+    }
+
+    return runs;
+  }
+
+  scheduleScript({ id }) {
+    this.unscheduleScript({ id });
+
+    const script = this.scripts[id];
+    if (!script || !Array.isArray(script.schedules) || script.enabled === false) return;
+
+    this.scheduleTimeouts[id] = {};
+
+    for (const schedule of script.schedules) {
+      try {
+        this.scheduleNextRun({ id, schedule });
+      } catch (err) {
+        this.error(`Schedule Error (${id}):`, err);
+      }
+    }
+  }
+
+  scheduleNextRun({ id, schedule }) {
+    const [nextRun] = this.getScheduleRuns({ schedule });
+    const delay = Math.max(0, nextRun.getTime() - Date.now());
+
+    // Timeouts longer than the setTimeout limit are re-evaluated when the limit has passed
+    if (delay > this.constructor.SCHEDULE_TIMEOUT_MAX) {
+      this.scheduleTimeouts[id][schedule.id] = {
+        nextRun,
+        timeout: this.homey.setTimeout(() => {
+          this.scheduleNextRun({ id, schedule });
+        }, this.constructor.SCHEDULE_TIMEOUT_MAX),
+      };
+      return;
+    }
+
+    this.scheduleTimeouts[id][schedule.id] = {
+      nextRun,
+      timeout: this.homey.setTimeout(() => {
+        this.scheduleNextRun({ id, schedule });
+        this.onScheduleRun({ id }).catch(err => this.error(`Schedule Run Error (${id}):`, err));
+      }, delay),
+    };
+  }
+
+  unscheduleScript({ id }) {
+    if (!this.scheduleTimeouts[id]) return;
+
+    for (const { timeout } of Object.values(this.scheduleTimeouts[id])) {
+      this.homey.clearTimeout(timeout);
+    }
+
+    delete this.scheduleTimeouts[id];
+  }
+
+  async onScheduleRun({ id }) {
+    const scriptSource = await this.getScript({ id });
+
+    return this.runScript({
+      id: scriptSource.id,
+      name: scriptSource.name,
+      code: scriptSource.code,
+      lastExecuted: scriptSource.lastExecuted,
+      realtime: false,
+      source: 'schedule',
+    }).finally(() => {
+      this.updateScript({ id: scriptSource.id, lastExecuted: new Date() }).catch(this.error);
+    });
+  }
+
+  getScriptNextRun({ id }) {
+    const nextRuns = Object.values(this.scheduleTimeouts[id] || {})
+      .map(({ nextRun }) => nextRun)
+      .sort((a, b) => a - b);
+
+    return nextRuns[0] || null;
+  }
+
+  async getScriptScheduledRuns({ id, count = 5 }) {
+    const script = await this.getScript({ id });
+    const runs = [];
+
+    for (const schedule of script.schedules || []) {
+      const scheduled = this.scheduleTimeouts[id] && this.scheduleTimeouts[id][schedule.id];
+      if (!scheduled) continue;
+
+      // The first run is the one that has actually been scheduled, the rest are calculated from there
+      const dates = [
+        scheduled.nextRun,
+        ...this.getScheduleRuns({ schedule, from: scheduled.nextRun, count: count - 1 }),
+      ];
+
+      for (const date of dates) {
+        runs.push({
+          scriptId: script.id,
+          scheduleId: schedule.id,
+          date,
+        });
+      }
+    }
+
+    return runs
+      .sort((a, b) => a.date - b.date)
+      .slice(0, count);
+  }
+
+  async getScheduledRuns({ count = 10 }) {
+    const runs = await Promise.all(Object.keys(this.scheduleTimeouts)
+      .map(id => this.getScriptScheduledRuns({ id, count })));
+
+    return runs
+      .flat()
+      .sort((a, b) => a.date - b.date)
+      .slice(0, count);
   }
 
 };
@@ -23,7 +23,7 @@
  */
 
 /**
- * Log to the console.
+ * Log to the console, at the `info` level.
  * @memberof global
  * @async
  * @function log
@@ -32,6 +32,79 @@
  * log('Hello World!');
  */
 
+/**
+ * Log to the console, at the `info` level. Same as `log`.
+ *
+ * Every entry has a level, a timestamp and the ID of the run. Entries below the log level of the HomeyScript are dropped.
+ * @memberof global
+ * @function console.log
+ * @param {...Mixed} arg1
+ */
+
+/**
+ * Log to the console, at the `info` level.
+ * @memberof global
+ * @function console.info
+ * @param {...Mixed} arg1
+ */
+
+/**
+ * Log to the console, at the `debug` level.
+ * @memberof global
+ * @function console.debug
+ * @param {...Mixed} arg1
+ */
+
+/**
+ * Log to the console, at the `warn` level.
+ * @memberof global
+ * @function console.warn
+ * @param {...Mixed} arg1
+ */
+
+/**
+ * Log to the console, at the `error` level.
+ * @memberof global
+ * @function console.error
+ * @param {...Mixed} arg1
+ */
+
+/**
+ * Log an array or object as a table.
+ * @memberof global
+ * @function console.table
+ * @param {Mixed} data
+ * @param {String[]} [properties] The columns to show
+ * @example
+ * console.table([{ name: 'Lamp', on: true }, { name: 'TV', on: false }]);
+ */
+
+/**
+ * Start a timer, log its duration with `console.timeLog` or `console.timeEnd`.
+ * @memberof global
+ * @function console.time
+ * @param {String} [label='default']
+ * @example
+ * console.time('devices');
+ * await Homey.devices.getDevices();
+ * console.timeEnd('devices'); // devices: 42ms
+ */
+
+/**
+ * Log the duration of a timer.
+ * @memberof global
+ * @function console.timeLog
+ * @param {String} [label='default']
+ * @param {...Mixed} arg1
+ */
+
+/**
+ * Log the duration of a timer and stop it.
+ * @memberof global
+ * @function console.timeEnd
+ * @param {String} [label='default']
+ */
+
 /**
  * Says something over the internal speaker.
  * @memberof global
@@ -50,11 +123,92 @@
  * @async
  * @function tag
  * @param {String} id ID of the Tag
- * @param {String|Number|Boolean|null} value Value of the Tag
+ * @param {String|Number|Boolean|null} value Value of the Tag, or the URL of an image for an Image Tag
+ * @param {Object} [options]
+ * @param {String} [options.type] Type of the Tag: `string`, `number`, `boolean` or `image`. Defaults to the type of `value`
+ * @param {String} [options.title] Title of the Tag as shown in Flows. Defaults to `id`
  * @example
  * await tag('My Tag', 1337); // Create
  * await tag('My Tag', 1338); // Update
  * await tag('My Tag', null); // Delete
+ *
+ * await tag('temperature', 21.5, { title: 'Living Room Temperature' });
+ * await tag('snapshot', 'https://example.com/snapshot.jpg', { type: 'image', title: 'Doorbell Snapshot' });
+ */
+
+/**
+ * Gets the value of a Flow Tag. For an Image Tag this is its URL.
+ * @memberof global
+ * @async
+ * @function tag.get
+ * @param {String} id ID of the Tag
+ * @returns {Promise<String|Number|Boolean|undefined>}
+ * @example
+ * const value = await tag.get('My Tag');
+ */
+
+/**
+ * Lists all Flow Tags created by HomeyScripts.
+ * @memberof global
+ * @async
+ * @function tag.list
+ * @returns {Promise<Array<{id: String, title: String, type: String, value: Mixed, script: String|null, orphaned: Boolean}>>}
+ * @example
+ * const tags = await tag.list();
+ * log(tags.map(tag => tag.title));
+ */
+
+/**
+ * Triggers the Flow card 'Script emitted event'. Flows listening to the same event name will start.
+ *
+ * The optional tokens are available as Tags in the Flow. Missing tokens default to `''`, `0` and `false`.
+ * @memberof global
+ * @async
+ * @function trigger
+ * @param {String} name Name of the event
+ * @param {Object} [tokens]
+ * @param {String} [tokens.string] Value of the Text Tag
+ * @param {Number} [tokens.number] Value of the Number Tag
+ * @param {Boolean} [tokens.boolean] Value of the Yes/No Tag
+ * @example
+ * await trigger('doorbell');
+ * await trigger('temperature', { number: 21.5, string: 'Living Room' });
+ */
+
+/**
+ * Runs another HomeyScript, by name or ID, and resolves with its returned value.
+ *
+ * When the other HomeyScript throws, the error is thrown here as well. Its logs are shown prefixed with its name.
+ * @memberof global
+ * @async
+ * @function run
+ * @param {String} nameOrId Name or ID of the HomeyScript
+ * @param {...Mixed} args Available as `args` in the other HomeyScript
+ * @returns {Promise<Mixed>}
+ * @example
+ * const temperature = await run('Get Temperature', 'Living Room');
+ */
+
+/**
+ * Imports a HomeyScript that has been marked as library, by name or ID.
+ *
+ * The library runs in its own scope and shares its functions by assigning them to `module.exports`.
+ * A library is evaluated once per run, so importing it again returns the same exports.
+ * @memberof global
+ * @async
+ * @function importScript
+ * @param {String} nameOrId Name or ID of the library
+ * @returns {Promise<Object>} The `module.exports` of the library
+ * @example
+ * // In a library named 'helpers'
+ * module.exports.getLights = async () => {
+ *   const devices = await Homey.devices.getDevices();
+ *   return Object.values(devices).filter(device => device.class === 'light');
+ * };
+ *
+ * // In any other HomeyScript
+ * const { getLights } = await importScript('helpers');
+ * const lights = await getLights();
  */
 
 /**
@@ -86,7 +240,7 @@
  * @async
  * @function fetch
  * @param {String} url
- * @param {Object} options
+ * @param {Object} [options]
  */
 
 /**
@@ -105,6 +259,41 @@
  * log(args[0]); // "myArgument"
  */
 
+/**
+ * The parameters declared by this script, by name. Arguments are converted to the type of their parameter, and
+ * parameters without an argument get their default value, or `null`.
+ *
+ * Parameters can be passed by position, e.g. by a Flow card or `run()`, or by name through the API.
+ *
+ * @memberof global
+ * @member {Object} params
+ * @example
+ * // With the parameters `room` (string) and `brightness` (number, default 1)
+ * log(params.room, params.brightness); // "Kitchen" 0.5
+ */
+
+/**
+ * The module of a HomeyScript that has been marked as library. Assign to `module.exports` to share values with other HomeyScripts.
+ *
+ * Only available in libraries, see {@link global.importScript}.
+ *
+ * @memberof global
+ * @member {Object} module
+ * @example
+ * module.exports = {
+ *   double: value => value * 2,
+ * };
+ */
+
+/**
+ * Shortcut to `module.exports` in a HomeyScript that has been marked as library.
+ *
+ * @memberof global
+ * @member {Object} exports
+ * @example
+ * exports.double = value => value * 2;
+ */
+
 /**
  * Shortcut to [Buffer](https://nodejs.org/api/buffer.html).
  *
@@ -161,12 +350,121 @@
  * @member {Number} __ms_since_last_executed__
  */
 
+/**
+ * The ID of the current run of the HomeyScript.
+ *
+ * @memberof global
+ * @member {String} __run_id__
+ */
+
+/**
+ * The HTTP request when the HomeyScript was started by its webhook, otherwise `null`.
+ *
+ * The returned value is sent back as the response. Throw an Error with a `statusCode` property to respond with an error.
+ *
+ * @memberof global
+ * @member {Object|null} request
+ * @property {String} method `GET` or `POST`
+ * @property {Object} query The query parameters, without `secret`
+ * @property {Mixed} body The JSON body of a `POST` request
+ * @example
+ * if (!request.query.room) {
+ *   const error = new Error('Missing room');
+ *   error.statusCode = 400;
+ *   throw error;
+ * }
+ *
+ * return { temperature: await getTemperature(request.query.room) };
+ */
+
+/**
+ * The HTTP response when the HomeyScript was started by its webhook, otherwise `null`.
+ *
+ * Set `statusCode` to choose the status of the response. Statuses from 300 are sent with the returned value as the
+ * body of the error. Homey responds to every status below 300 with `200`.
+ *
+ * @memberof global
+ * @member {Object|null} response
+ * @property {Number} statusCode Defaults to `200`
+ * @example
+ * if (!(await state.get(request.query.id))) {
+ *   response.statusCode = 404;
+ *   return 'Unknown ID';
+ * }
+ */
+
+/**
+ * An [AbortSignal](https://nodejs.org/api/globals.html#class-abortsignal) that is aborted when the run is stopped.
+ *
+ * Pending `wait()` and `fetch()` calls are rejected automatically. Pass it to other asynchronous operations to cancel them as well.
+ *
+ * @memberof global
+ * @member {AbortSignal} signal
+ * @example
+ * signal.addEventListener('abort', () => {
+ *   log('Stopped!');
+ * });
+ */
+
+/**
+ * Get a value that's only accessible by this HomeyScript.
+ *
+ * The values are removed when the HomeyScript is deleted.
+ *
+ * @memberof global
+ * @function state.get
+ * @param {String} key Key of the property
+ * @returns {Mixed}
+ */
+
+/**
+ * Set a value that's only accessible by this HomeyScript.
+ *
+ * @memberof global
+ * @function state.set
+ * @param {String} key Key of the property
+ * @param {Mixed} value Value of the property
+ */
+
+/**
+ * Delete a value of this HomeyScript.
+ *
+ * @memberof global
+ * @function state.delete
+ * @param {String} key Key of the property
+ */
+
+/**
+ * Gets all keys of the values of this HomeyScript.
+ *
+ * @memberof global
+ * @function state.keys
+ * @returns {Array}
+ */
+
+/**
+ * Updates a value of this HomeyScript with the value returned by `fn`.
+ *
+ * Updates run one after another, so concurrent runs of this HomeyScript never overwrite each other's update.
+ *
+ * @memberof global
+ * @async
+ * @function state.update
+ * @param {String} key Key of the property
+ * @param {Function} fn Receives the current value and returns (or resolves with) the new value
+ * @returns {Promise<Mixed>} The new value
+ * @example
+ * const count = await state.update('count', (count = 0) => count + 1);
+ * log(`This script has run ${count} times`);
+ */
+
 /**
  * Get a global value that's accessible between HomeyScripts.
  *
  * @memberof global
  * @function global.get
  * @param {String} key Key of the property
+ * @returns {Mixed}
  */
 
 /**
@@ -185,3 +483,19 @@
  * @function global.keys
  * @returns {Array}
  */
+
+/**
+ * Gets the value of a secret, e.g. an API key. Secrets are managed in the HomeyScript settings, and each secret can
+ * only be read by the HomeyScripts it has been granted to.
+ *
+ * Values of secrets are replaced by `***` in the logs, the run history, and the results and errors of runs.
+ *
+ * @memberof global
+ * @async
+ * @function secrets.get
+ * @param {String} name Name of the secret
+ * @returns {Promise<String>}
+ * @example
+ * const apiKey = await secrets.get('weather-api-key');
+ * const res = await fetch(`https://api.example.com/weather?key=${apiKey}`);
+ */
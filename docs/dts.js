@@ -0,0 +1,182 @@
+'use strict';
+
+/*
+ * Generates the TypeScript declarations of the HomeyScript globals from the JSDoc output of docs/api.js.
+ *
+ * Usage: jsdoc -X ./docs/api.js | node ./docs/dts.js > ./lib/homeyscript.d.ts
+ */
+
+const TYPES = {
+  String: 'string',
+  Number: 'number',
+  Boolean: 'boolean',
+  Mixed: 'any',
+  Object: 'any',
+  Class: 'any',
+  HomeyAPI: 'HomeyAPI',
+  function: '((...args: any[]) => any)',
+  Function: '((...args: any[]) => any)',
+};
+
+// Return types of getters of the HomeyAPI, so e.g. `Object.values(await Homey.devices.getDevices())` results in an
+// array of devices instead of `unknown[]`. Getters of multiple items return them by ID.
+const HOMEY_API_GETTERS = {
+  apps: { getApps: 'Record<string, any>' },
+  devices: { getDevices: 'Record<string, HomeyAPIDevice>', getDevice: 'HomeyAPIDevice' },
+  drivers: { getDrivers: 'Record<string, any>' },
+  flow: { getFlows: 'Record<string, any>' },
+  zones: { getZones: 'Record<string, any>' },
+};
+
+function toHomeyAPIDeclaration() {
+  const managers = Object.entries(HOMEY_API_GETTERS)
+    .map(([manager, getters]) => [
+      `  ${manager}: {`,
+      ...Object.entries(getters).map(([getter, type]) => `    ${getter}(options?: any): Promise<${type}>;`),
+      '    [method: string]: any;',
+      '  };',
+    ].join('\n'))
+    .join('\n');
+
+  return [
+    'interface HomeyAPIDevice {',
+    '  capabilitiesObj: Record<string, any>;',
+    '  [property: string]: any;',
+    '}',
+    '',
+    `interface HomeyAPI {\n${managers}\n  [manager: string]: any;\n}`,
+    '',
+  ].join('\n');
+}
+
+function toType(names = ['Mixed']) {
+  return names
+    .map(name => name
+      .replace(/\.</g, '<')
+      .replace(/\bArray\b(?!<)/g, 'any[]')
+      .replace(/\b[A-Za-z]+\b/g, word => TYPES[word] || word))
+    .join(' | ');
+}
+
+function toComment(doclet, indent) {
+  if (!doclet.description) return '';
+
+  const lines = doclet.description
+    .replace(/\*\//g, '*\\/')
+    .split('\n')
+    .map(line => `${indent} * ${line}`.trimEnd());
+
+  return `${indent}/**\n${lines.join('\n')}\n${indent} */\n`;
+}
+
+function toParameters(params = []) {
+  const parameters = [];
+
+  for (const param of params) {
+    const [parent, property] = param.name.split('.');
+
+    // Properties of an options object, e.g. `options.type`, are merged into the type of that object
+    if (property) {
+      const parameter = parameters.find(item => item.name === parent);
+      parameter.properties.push(`${property}${param.optional ? '?' : ''}: ${toType(param.type && param.type.names)}`);
+      continue;
+    }
+
+    parameters.push({
+      name: param.name,
+      type: toType(param.type && param.type.names),
+      optional: !!param.optional,
+      variable: !!param.variable,
+      properties: [],
+    });
+  }
+
+  return parameters
+    .map(parameter => {
+      const type = parameter.properties.length > 0
+        ? `{ ${parameter.properties.join('; ')} }`
+        : parameter.type;
+
+      if (parameter.variable) return `...${parameter.name}: ${type}[]`;
+      return `${parameter.name}${parameter.optional ? '?' : ''}: ${type}`;
+    })
+    .join(', ');
+}
+
+function toReturnType(doclet) {
+  if (doclet.returns) return toType(doclet.returns[0].type.names);
+  return doclet.async ? 'Promise<any>' : 'void';
+}
+
+function toDeclaration(name, node, indent) {
+  const { doclet, children } = node;
+  const comment = doclet ? toComment(doclet, indent) : '';
+  const members = Object.entries(children)
+    .map(([childName, child]) => toDeclaration(childName, child, `${indent}  `))
+    .join('\n');
+
+  const isTopLevel = indent === '';
+  const isFunction = doclet && doclet.kind === 'function';
+
+  // A function with properties, e.g. `tag` and `tag.get`
+  if (isFunction && members) {
+    const type = `((${toParameters(doclet.params)}) => ${toReturnType(doclet)}) & {\n${members}\n${indent}}`;
+    return isTopLevel
+      ? `${comment}declare const ${name}: ${type};\n`
+      : `${comment}${indent}${name}: ${type};`;
+  }
+
+  if (isFunction) {
+    return isTopLevel
+      ? `${comment}declare function ${name}(${toParameters(doclet.params)}): ${toReturnType(doclet)};\n`
+      : `${comment}${indent}${name}(${toParameters(doclet.params)}): ${toReturnType(doclet)};`;
+  }
+
+  const type = members
+    ? `{\n${members}\n${indent}}`
+    : toType(doclet && doclet.type && doclet.type.names);
+
+  return isTopLevel
+    ? `${comment}declare const ${name}: ${type};\n`
+    : `${comment}${indent}${name}: ${type};`;
+}
+
+function generate(doclets) {
+  const root = { children: {} };
+
+  for (const doclet of doclets) {
+    if (doclet.undocumented || !(doclet.memberof === 'global' || String(doclet.memberof).startsWith('global.'))) continue;
+
+    // The path as written in the `@function` or `@member` tag, e.g. `state.get`
+    const [, tagPath] = doclet.comment.match(/@(?:function|member)\s+(?:\{[^}]*\}\s+)?(\S+)/) || [];
+    const parts = (tagPath || doclet.name).split('.');
+
+    let node = root;
+    for (const part of parts) {
+      node.children[part] = node.children[part] || { children: {} };
+      node = node.children[part];
+    }
+    node.doclet = doclet;
+  }
+
+  const declarations = Object.entries(root.children)
+    .map(([name, node]) => toDeclaration(name, node, ''));
+
+  return [
+    '// This file is generated by docs/dts.js. Please edit docs/api.js instead.',
+    '',
+    'type AbortSignal = any;',
+    '',
+    toHomeyAPIDeclaration(),
+    ...declarations,
+  ].join('\n');
+}
+
+let input = '';
+process.stdin.setEncoding('utf8');
+process.stdin.on('data', chunk => {
+  input += chunk;
+});
+process.stdin.on('end', () => {
+  process.stdout.write(generate(JSON.parse(input)));
+});
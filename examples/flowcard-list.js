@@ -19,7 +19,7 @@ for( const card of conditionCards ) {
     args: card.args,
     droptoken: card.droptoken,
     duration: card.duration,
-  }, false, 2));
+  }, null, 2));
   log('-----------')
 }
 
@@ -35,6 +35,6 @@ for( const card of actionCards ) {
     args: card.args,
     droptoken: card.droptoken,
     duration: card.duration,
-  }, false, 2));
+  }, null, 2));
   log('-----------')
 }
\ No newline at end of file
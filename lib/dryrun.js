@@ -0,0 +1,96 @@
+'use strict';
+
+// Methods that only read or subscribe, these are passed through in a dry run.
+// Every other method of a class instance is intercepted.
+const READ_METHOD_PREFIXES = ['get', 'is', 'has', 'to', 'make'];
+const READ_METHODS = [
+  'get', 'on', 'once', 'off', 'addListener', 'removeListener', 'removeAllListeners', 'listeners', 'listenerCount',
+  'eventNames', 'connect', 'disconnect', 'subscribe', 'unsubscribe', 'valueOf', 'inspect',
+];
+const READ_METHOD = new RegExp(`^(?:(?:${READ_METHOD_PREFIXES.join('|')})[A-Z]|(?:${READ_METHODS.join('|')})$)`);
+
+// Objects that don't work through a Proxy, or don't have to
+const PASSTHROUGH_TYPES = [Date, RegExp, Map, Set, WeakMap, WeakSet, Error, ArrayBuffer, Promise];
+
+/**
+ * Describes an object for the log of intercepted calls, e.g. `Device(Living Room Lamp)`.
+ * @param {Object} value
+ * @param {String} fallback
+ * @returns {String}
+ */
+function getLabel(value, fallback) {
+  const name = typeof value.name === 'string' ? value.name : null;
+  const id = typeof value.id === 'string' ? value.id : null;
+
+  if (name || id) {
+    const type = value.constructor && value.constructor.name !== 'Object'
+      ? value.constructor.name
+      : 'Object';
+
+    return `${type}(${name || id})`;
+  }
+
+  return fallback;
+}
+
+/**
+ * Wraps an object, e.g. a HomeyAPI instance, so calls to methods that change something are passed to `onCall`
+ * instead of being executed. Objects returned by other methods are wrapped as well.
+ * @param {Object} options
+ * @param {Object} options.target
+ * @param {String} options.label How the object is described in the intercepted calls, e.g. `Homey`
+ * @param {Function} options.onCall Called with `{ object, method, args }` for every intercepted call
+ * @returns {Object}
+ */
+function createDryRunProxy({ target, label, onCall }) {
+  const proxies = new WeakMap();
+
+  const wrap = (value, valueLabel) => {
+    if (value === null || (typeof value !== 'object' && typeof value !== 'function')) return value;
+    if (typeof value.then === 'function') return value.then(result => wrap(result, valueLabel));
+    if (PASSTHROUGH_TYPES.some(Type => value instanceof Type)) return value;
+    if (ArrayBuffer.isView(value)) return value;
+    if (typeof value === 'function') return value;
+
+    if (!proxies.has(value)) {
+      const objectLabel = getLabel(value, valueLabel);
+
+      proxies.set(value, new Proxy(value, {
+        get(object, property, receiver) {
+          const propertyValue = Reflect.get(object, property);
+
+          // Proxies must return the actual value of read-only properties
+          const descriptor = Reflect.getOwnPropertyDescriptor(object, property);
+          if (descriptor && !descriptor.configurable && !descriptor.writable) return propertyValue;
+
+          if (typeof property === 'symbol' || property === 'constructor') return propertyValue;
+
+          if (typeof propertyValue === 'function') {
+            // Methods of arrays and plain objects only work with local data, items they access are wrapped by this Proxy
+            if (Array.isArray(object) || Object.getPrototypeOf(object) === Object.prototype) {
+              return (...args) => propertyValue.apply(receiver, args);
+            }
+
+            if (READ_METHOD.test(property)) {
+              return (...args) => wrap(propertyValue.apply(object, args), `${objectLabel}.${property}()`);
+            }
+
+            return async (...args) => {
+              onCall({ object: objectLabel, method: property, args });
+            };
+          }
+
+          return wrap(propertyValue, `${objectLabel}.${property}`);
+        },
+      }));
+    }
+
+    return proxies.get(value);
+  };
+
+  return wrap(target, label);
+}
+
+module.exports = {
+  createDryRunProxy,
+};
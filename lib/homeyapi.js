@@ -0,0 +1,220 @@
+'use strict';
+
+// Managers of which the items are cached and kept up-to-date by realtime events
+const CACHED_MANAGERS = {
+  devices: { item: 'device', getAll: 'getDevices', getOne: 'getDevice' },
+  zones: { item: 'zone', getAll: 'getZones', getOne: 'getZone' },
+};
+
+// Methods of the shared HomeyAPI that a single run may not call
+const SHARED_METHODS = ['destroy', 'setToken'];
+
+/**
+ * Creates a cache of the devices and zones of a HomeyAPI instance. A manager is loaded on first use, after which
+ * realtime events keep it up-to-date.
+ * @param {Object} options
+ * @param {Object} options.api
+ * @param {Function} options.onError Called when a manager could not be cached, its items are then fetched directly
+ * @returns {{getAll: Function, getOne: Function, reset: Function}}
+ */
+function createCache({ api, onError }) {
+  const items = {};
+  const loading = {};
+  let listeners = [];
+
+  const load = async managerName => {
+    const { item, getAll } = CACHED_MANAGERS[managerName];
+    const manager = api[managerName];
+
+    const onChange = value => {
+      if (items[managerName]) items[managerName][value.id] = value;
+    };
+    const onDelete = value => {
+      if (items[managerName]) delete items[managerName][value.id];
+    };
+
+    await manager.connect();
+
+    for (const [event, listener] of [['create', onChange], ['update', onChange], ['delete', onDelete]]) {
+      manager.on(`${item}.${event}`, listener);
+      listeners.push([manager, `${item}.${event}`, listener]);
+    }
+
+    items[managerName] = { ...await manager[getAll]() };
+  };
+
+  const getAll = async managerName => {
+    if (!loading[managerName]) {
+      loading[managerName] = load(managerName).catch(err => {
+        delete loading[managerName];
+        throw err;
+      });
+    }
+
+    try {
+      await loading[managerName];
+    } catch (err) {
+      onError(err);
+      return api[managerName][CACHED_MANAGERS[managerName].getAll]();
+    }
+
+    return { ...items[managerName] };
+  };
+
+  const getOne = async (managerName, id) => {
+    const all = await getAll(managerName);
+    if (all[id]) return all[id];
+
+    // Let the HomeyAPI throw its own error when the item doesn't exist
+    return api[managerName][CACHED_MANAGERS[managerName].getOne]({ id });
+  };
+
+  const reset = () => {
+    for (const [manager, event, listener] of listeners) {
+      manager.removeListener(event, listener);
+    }
+
+    listeners = [];
+
+    for (const managerName of Object.keys(CACHED_MANAGERS)) {
+      delete items[managerName];
+      delete loading[managerName];
+    }
+  };
+
+  return { getAll, getOne, reset };
+}
+
+/**
+ * Creates the facade of a shared HomeyAPI instance for a single run. Devices and zones are read from the cache, and
+ * the listeners and capability instances a run leaves behind are removed when it's disposed. After that, the facade
+ * and everything it returned can't be used anymore.
+ * @param {Object} options
+ * @param {Object} options.api
+ * @param {Object} options.cache The cache returned by {@link createCache}
+ * @returns {{api: Object, dispose: Function}}
+ */
+function createFacade({ api, cache }) {
+  const managers = new Map();
+  const items = new WeakMap();
+  const listeners = [];
+  const capabilityInstances = [];
+  let disposed = false;
+
+  // e.g. a timer or a library of a run that has ended, which still holds on to `Homey`
+  const assertNotDisposed = () => {
+    if (disposed) throw new Error('HomeyAPI Unavailable: The run has ended');
+  };
+
+  const wrapItem = item => {
+    if (!item || typeof item !== 'object' || typeof item.makeCapabilityInstance !== 'function') return item;
+
+    if (!items.has(item)) {
+      items.set(item, new Proxy(item, {
+        get(target, property, receiver) {
+          const value = Reflect.get(target, property, receiver);
+
+          // An item can still be read, e.g. when the run returned it, but its methods can't be called anymore
+          if (disposed
+            && typeof value === 'function'
+            && property !== 'toJSON'
+            && value !== Object.prototype[property]) {
+            return () => assertNotDisposed();
+          }
+
+          if (property !== 'makeCapabilityInstance') return value;
+
+          return (...args) => {
+            const instance = value.apply(target, args);
+            capabilityInstances.push(instance);
+            return instance;
+          };
+        },
+      }));
+    }
+
+    return items.get(item);
+  };
+
+  const wrapManager = (managerName, manager) => new Proxy(manager, {
+    get(target, property, receiver) {
+      assertNotDisposed();
+
+      const value = Reflect.get(target, property, receiver);
+      const cached = CACHED_MANAGERS[managerName];
+
+      if (cached && property === cached.getAll) {
+        return async () => {
+          const all = await cache.getAll(managerName);
+
+          for (const id of Object.keys(all)) {
+            all[id] = wrapItem(all[id]);
+          }
+
+          return all;
+        };
+      }
+
+      if (cached && property === cached.getOne) {
+        return async ({ id }) => wrapItem(await cache.getOne(managerName, id));
+      }
+
+      if (['on', 'once', 'addListener'].includes(property)) {
+        return (event, listener) => {
+          listeners.push([target, event, listener]);
+          return value.call(target, event, listener);
+        };
+      }
+
+      // Other runs depend on the realtime connection
+      if (property === 'disconnect') {
+        return async () => {};
+      }
+
+      return value;
+    },
+  });
+
+  const facade = new Proxy(api, {
+    get(target, property, receiver) {
+      assertNotDisposed();
+
+      const value = Reflect.get(target, property, receiver);
+
+      if (SHARED_METHODS.includes(property)) {
+        return () => {};
+      }
+
+      // Managers are the objects of the HomeyAPI, e.g. `Homey.devices`
+      if (typeof property !== 'string'
+        || property.startsWith('_')
+        || value === null
+        || typeof value !== 'object') return value;
+
+      if (!managers.has(property)) {
+        managers.set(property, wrapManager(property, value));
+      }
+
+      return managers.get(property);
+    },
+  });
+
+  const dispose = () => {
+    disposed = true;
+
+    for (const [emitter, event, listener] of listeners) {
+      emitter.removeListener(event, listener);
+    }
+
+    for (const instance of capabilityInstances) {
+      if (instance && typeof instance.destroy === 'function') instance.destroy();
+    }
+  };
+
+  return { api: facade, dispose };
+}
+
+module.exports = {
+  createCache,
+  createFacade,
+};
@@ -0,0 +1,286 @@
+// This file is generated by docs/dts.js. Please edit docs/api.js instead.
+
+type AbortSignal = any;
+
+interface HomeyAPIDevice {
+  capabilitiesObj: Record<string, any>;
+  [property: string]: any;
+}
+
+interface HomeyAPI {
+  apps: {
+    getApps(options?: any): Promise<Record<string, any>>;
+    [method: string]: any;
+  };
+  devices: {
+    getDevices(options?: any): Promise<Record<string, HomeyAPIDevice>>;
+    getDevice(options?: any): Promise<HomeyAPIDevice>;
+    [method: string]: any;
+  };
+  drivers: {
+    getDrivers(options?: any): Promise<Record<string, any>>;
+    [method: string]: any;
+  };
+  flow: {
+    getFlows(options?: any): Promise<Record<string, any>>;
+    [method: string]: any;
+  };
+  zones: {
+    getZones(options?: any): Promise<Record<string, any>>;
+    [method: string]: any;
+  };
+  [manager: string]: any;
+}
+
+/**
+ * Log to the console, at the `info` level.
+ */
+declare function log(...arg1: any[]): Promise<any>;
+
+declare const console: {
+  /**
+   * Log to the console, at the `info` level. Same as `log`.
+   *
+   * Every entry has a level, a timestamp and the ID of the run. Entries below the log level of the HomeyScript are dropped.
+   */
+  log(...arg1: any[]): void;
+  /**
+   * Log to the console, at the `info` level.
+   */
+  info(...arg1: any[]): void;
+  /**
+   * Log to the console, at the `debug` level.
+   */
+  debug(...arg1: any[]): void;
+  /**
+   * Log to the console, at the `warn` level.
+   */
+  warn(...arg1: any[]): void;
+  /**
+   * Log to the console, at the `error` level.
+   */
+  error(...arg1: any[]): void;
+  /**
+   * Log an array or object as a table.
+   */
+  table(data: any, properties?: Array<string>): void;
+  /**
+   * Start a timer, log its duration with `console.timeLog` or `console.timeEnd`.
+   */
+  time(label?: string): void;
+  /**
+   * Log the duration of a timer.
+   */
+  timeLog(label?: string, ...arg1: any[]): void;
+  /**
+   * Log the duration of a timer and stop it.
+   */
+  timeEnd(label?: string): void;
+};
+
+/**
+ * Says something over the internal speaker.
+ */
+declare function say(text: string): Promise<any>;
+
+/**
+ * Creates or updates a Flow Tag. These are persistent across reboots.
+ *
+ * Delete a Flow Tag by providing `null` as value.
+ */
+declare const tag: ((id: string, value: string | number | boolean | null, options?: { type?: string; title?: string }) => Promise<any>) & {
+  /**
+   * Gets the value of a Flow Tag. For an Image Tag this is its URL.
+   */
+  get(id: string): Promise<(string|number|boolean|undefined)>;
+  /**
+   * Lists all Flow Tags created by HomeyScripts.
+   */
+  list(): Promise<Array<{id: string, title: string, type: string, value: any, script: (string|null), orphaned: boolean}>>;
+};
+
+/**
+ * Triggers the Flow card 'Script emitted event'. Flows listening to the same event name will start.
+ *
+ * The optional tokens are available as Tags in the Flow. Missing tokens default to `''`, `0` and `false`.
+ */
+declare function trigger(name: string, tokens?: { string?: string; number?: number; boolean?: boolean }): Promise<any>;
+
+/**
+ * Runs another HomeyScript, by name or ID, and resolves with its returned value.
+ *
+ * When the other HomeyScript throws, the error is thrown here as well. Its logs are shown prefixed with its name.
+ */
+declare function run(nameOrId: string, ...args: any[]): Promise<any>;
+
+/**
+ * Imports a HomeyScript that has been marked as library, by name or ID.
+ *
+ * The library runs in its own scope and shares its functions by assigning them to `module.exports`.
+ * A library is evaluated once per run, so importing it again returns the same exports.
+ */
+declare function importScript(nameOrId: string): Promise<any>;
+
+/**
+ * Resolves after `milliseconds` milliseconds.
+ */
+declare function wait(milliseconds: number): Promise<any>;
+
+/**
+ * A [HomeyAPI](https://athombv.github.io/node-homey-api/HomeyAPIV2.html) instance.
+ */
+declare const Homey: HomeyAPI;
+
+/**
+ * Shortcut to [node-fetch](https://www.npmjs.com/package/node-fetch/v/2.6.7).
+ */
+declare function fetch(url: string, options?: any): Promise<any>;
+
+/**
+ * Shortcut to [lodash](https://www.npmjs.com/package/lodash).
+ */
+declare const _: any;
+
+/**
+ * Provided arguments to this script.
+ */
+declare const args: any[];
+
+/**
+ * The parameters declared by this script, by name. Arguments are converted to the type of their parameter, and
+ * parameters without an argument get their default value, or `null`.
+ *
+ * Parameters can be passed by position, e.g. by a Flow card or `run()`, or by name through the API.
+ */
+declare const params: any;
+
+/**
+ * The module of a HomeyScript that has been marked as library. Assign to `module.exports` to share values with other HomeyScripts.
+ *
+ * Only available in libraries, see {@link global.importScript}.
+ */
+declare const module: any;
+
+/**
+ * Shortcut to `module.exports` in a HomeyScript that has been marked as library.
+ */
+declare const exports: any;
+
+/**
+ * Shortcut to [Buffer](https://nodejs.org/api/buffer.html).
+ */
+declare const Buffer: any;
+
+/**
+ * Shortcut to [URLSearchParams](https://nodejs.org/api/url.html#class-urlsearchparams).
+ */
+declare const URLSearchParams: any;
+
+/**
+ * Shortcut to [http](https://nodejs.org/api/http.html).
+ */
+declare const http: any;
+
+/**
+ * Shortcut to [https](https://nodejs.org/api/https.html).
+ */
+declare const https: any;
+
+/**
+ * The filename of the HomeyScript.
+ */
+declare const __filename__: string;
+
+/**
+ * The Script ID of the HomeyScript.
+ */
+declare const __script_id__: string;
+
+/**
+ * When the HomeyScript has last executed.
+ */
+declare const __last_executed__: Date;
+
+/**
+ * Milliseconds since the HomeyScript has last executed.
+ */
+declare const __ms_since_last_executed__: number;
+
+/**
+ * The ID of the current run of the HomeyScript.
+ */
+declare const __run_id__: string;
+
+/**
+ * The HTTP request when the HomeyScript was started by its webhook, otherwise `null`.
+ *
+ * The returned value is sent back as the response. Throw an Error with a `statusCode` property to respond with an error.
+ */
+declare const request: any | null;
+
+/**
+ * The HTTP response when the HomeyScript was started by its webhook, otherwise `null`.
+ *
+ * Set `statusCode` to choose the status of the response. Statuses from 300 are sent with the returned value as the
+ * body of the error. Homey responds to every status below 300 with `200`.
+ */
+declare const response: any | null;
+
+/**
+ * An [AbortSignal](https://nodejs.org/api/globals.html#class-abortsignal) that is aborted when the run is stopped.
+ *
+ * Pending `wait()` and `fetch()` calls are rejected automatically. Pass it to other asynchronous operations to cancel them as well.
+ */
+declare const signal: AbortSignal;
+
+declare const state: {
+  /**
+   * Get a value that's only accessible by this HomeyScript.
+   *
+   * The values are removed when the HomeyScript is deleted.
+   */
+  get(key: string): any;
+  /**
+   * Set a value that's only accessible by this HomeyScript.
+   */
+  set(key: string, value: any): void;
+  /**
+   * Delete a value of this HomeyScript.
+   */
+  delete(key: string): void;
+  /**
+   * Gets all keys of the values of this HomeyScript.
+   */
+  keys(): any[];
+  /**
+   * Updates a value of this HomeyScript with the value returned by `fn`.
+   *
+   * Updates run one after another, so concurrent runs of this HomeyScript never overwrite each other's update.
+   */
+  update(key: string, fn: ((...args: any[]) => any)): Promise<any>;
+};
+
+declare const global: {
+  /**
+   * Get a global value that's accessible between HomeyScripts.
+   */
+  get(key: string): any;
+  /**
+   * Set a global value that's accessible between HomeyScripts.
+   */
+  set(key: string, value: any): void;
+  /**
+   * Gets all keys of global values.
+   */
+  keys(): any[];
+};
+
+declare const secrets: {
+  /**
+   * Gets the value of a secret, e.g. an API key. Secrets are managed in the HomeyScript settings, and each secret can
+   * only be read by the HomeyScripts it has been granted to.
+   *
+   * Values of secrets are replaced by `***` in the logs, the run history, and the results and errors of runs.
+   */
+  get(name: string): Promise<string>;
+};
@@ -0,0 +1,233 @@
+'use strict';
+
+const { createDryRunProxy } = require('./dryrun');
+
+// Note that these guards limit what the globals of a HomeyScript can do, the `vm` module itself is not a security
+// boundary.
+
+/**
+ * Creates the Error thrown when a HomeyScript does something its permissions don't allow.
+ * @param {String} message
+ * @returns {Error}
+ */
+function createPermissionError(message) {
+  const error = new Error(`Permission Denied: ${message}`);
+  error.code = 'PERMISSION_DENIED';
+  return error;
+}
+
+/**
+ * Checks a hostname against a list of hosts, where `*.example.com` allows every subdomain of `example.com`.
+ * @param {Object} options
+ * @param {String[]|null} options.hosts `null` allows every host
+ * @param {String} options.hostname
+ * @returns {Boolean}
+ */
+function isHostAllowed({ hosts, hostname }) {
+  if (hosts === null) return true;
+
+  const name = String(hostname).toLowerCase().replace(/\.$/, '');
+
+  return hosts.some(host => {
+    const pattern = host.toLowerCase();
+
+    if (pattern.startsWith('*.')) {
+      return name.endsWith(pattern.substring(1));
+    }
+
+    return name === pattern;
+  });
+}
+
+/**
+ * Returns the permissions that both permission sets allow, e.g. for a script that's run by another script.
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {Object}
+ */
+function intersectPermissions(a, b) {
+  const intersectHosts = () => {
+    if (a.hosts === null) return b.hosts;
+    if (b.hosts === null) return a.hosts;
+
+    // A host or wildcard is kept when the other list allows it too, e.g. `api.example.com` and `*.example.com`
+    // result in `api.example.com`
+    const covered = (hosts, other) => hosts.filter(host => isHostAllowed({ hosts: other, hostname: host }));
+
+    return [...new Set([...covered(a.hosts, b.hosts), ...covered(b.hosts, a.hosts)])];
+  };
+
+  const intersectManagers = () => {
+    if (a.managers === null) return b.managers;
+    if (b.managers === null) return a.managers;
+
+    return a.managers.filter(manager => b.managers.includes(manager));
+  };
+
+  return {
+    hosts: intersectHosts(),
+    managers: intersectManagers(),
+    readOnlyDevices: a.readOnlyDevices || b.readOnlyDevices,
+    tags: a.tags && b.tags,
+  };
+}
+
+/**
+ * Returns the hostname of the arguments of `http.request()`, `http.get()` or `fetch()`.
+ * @param {Array} args
+ * @returns {String|null}
+ */
+function getHostname(args) {
+  const [url, options] = args;
+  const requestOptions = [options, url].find(item => item
+    && typeof item === 'object'
+    && !(item instanceof URL)
+    && (item.hostname || item.host));
+
+  if (requestOptions) {
+    // `host` may include a port, `hostname` doesn't
+    return requestOptions.hostname || String(requestOptions.host).replace(/:\d+$/, '');
+  }
+
+  try {
+    return new URL(typeof url === 'object' && url.url ? url.url : String(url)).hostname;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Wraps `fetch`, so it only connects to the allowed hosts. Redirects aren't followed when the hosts are limited,
+ * because they could lead to any host.
+ * @param {Object} options
+ * @param {Function} options.fetch
+ * @param {String[]|null} options.hosts
+ * @param {Function} options.onDenied Called with the permission Error before it's thrown
+ * @returns {Function}
+ */
+function guardFetch({ fetch, hosts, onDenied }) {
+  if (hosts === null) return fetch;
+
+  return async (url, options) => {
+    const hostname = getHostname([url]);
+
+    if (!hostname || !isHostAllowed({ hosts, hostname })) {
+      throw onDenied(createPermissionError(`Network access to '${hostname}' is not allowed`));
+    }
+
+    return fetch(url, { ...options, redirect: 'manual' });
+  };
+}
+
+/**
+ * Wraps the `http` or `https` module, so requests only connect to the allowed hosts.
+ * @param {Object} options
+ * @param {Object} options.module
+ * @param {String[]|null} options.hosts
+ * @param {Function} options.onDenied Called with the permission Error before it's thrown
+ * @returns {Object}
+ */
+function guardHttp({ module, hosts, onDenied }) {
+  if (hosts === null) return module;
+
+  const guard = method => (...args) => {
+    const hostname = getHostname(args) || 'localhost';
+
+    if (!isHostAllowed({ hosts, hostname })) {
+      throw onDenied(createPermissionError(`Network access to '${hostname}' is not allowed`));
+    }
+
+    return method(...args);
+  };
+
+  // Only the guarded methods are exposed, e.g. `Agent` and `ClientRequest` could connect to any host
+  return {
+    METHODS: module.METHODS,
+    STATUS_CODES: module.STATUS_CODES,
+    request: guard(module.request),
+    get: guard(module.get),
+    createServer: () => {
+      throw onDenied(createPermissionError('Creating a server is not allowed'));
+    },
+  };
+}
+
+/**
+ * Wraps a HomeyAPI instance, so only the allowed managers can be used and devices can optionally only be read.
+ * @param {Object} options
+ * @param {Object} options.homeyAPI
+ * @param {String[]|null} options.managers `null` allows every manager
+ * @param {Boolean} options.readOnlyDevices
+ * @param {Function} options.onDenied Called with the permission Error before it's thrown
+ * @returns {Object}
+ */
+function guardHomeyAPI({
+  homeyAPI, managers, readOnlyDevices, onDenied,
+}) {
+  if (managers === null && !readOnlyDevices) return homeyAPI;
+
+  let devices = null;
+  let flow = null;
+
+  return new Proxy(homeyAPI, {
+    get(target, property, receiver) {
+      const value = Reflect.get(target, property, receiver);
+
+      // Managers are the objects of the HomeyAPI, e.g. `Homey.devices`
+      if (typeof property !== 'string'
+        || property.startsWith('_')
+        || value === null
+        || typeof value !== 'object') return value;
+
+      if (managers !== null && !managers.includes(property)) {
+        throw onDenied(createPermissionError(`Homey.${property} is not allowed`));
+      }
+
+      if (property === 'devices' && readOnlyDevices) {
+        // Calls that would change a device are rejected, just like they are recorded in a dry run
+        devices = devices || createDryRunProxy({
+          target: value,
+          label: 'Homey.devices',
+          onCall: ({ object, method }) => {
+            throw onDenied(createPermissionError(`${object}.${method}() is not allowed, devices are read-only`));
+          },
+        });
+
+        return devices;
+      }
+
+      if (property === 'flow' && readOnlyDevices) {
+        // Flow cards of devices can change them as well, e.g. `homey:device:<id>`
+        flow = flow || new Proxy(value, {
+          get(flowTarget, flowProperty, flowReceiver) {
+            const method = Reflect.get(flowTarget, flowProperty, flowReceiver);
+            if (flowProperty !== 'runFlowCardAction' || typeof method !== 'function') return method;
+
+            return (options = {}, ...args) => {
+              const uri = String(options.uri || options.id || '');
+
+              if (uri.startsWith('homey:device:')) {
+                throw onDenied(createPermissionError(`Homey.flow.${flowProperty}() of '${uri}' is not allowed, devices are read-only`));
+              }
+
+              return method.call(flowTarget, options, ...args);
+            };
+          },
+        });
+
+        return flow;
+      }
+
+      return value;
+    },
+  });
+}
+
+module.exports = {
+  createPermissionError,
+  isHostAllowed,
+  intersectPermissions,
+  guardFetch,
+  guardHttp,
+  guardHomeyAPI,
+};
@@ -0,0 +1,205 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const ts = require('typescript');
+
+const DEFINITIONS_PATH = path.join(__dirname, 'homeyscript.d.ts');
+const DEFINITIONS_FILENAME = 'homeyscript.d.ts';
+
+const COMPILER_OPTIONS = {
+  target: ts.ScriptTarget.ES2020,
+  module: ts.ModuleKind.None,
+  lib: ['lib.es2020.d.ts'],
+  sourceMap: true,
+  noEmit: false,
+  types: [],
+};
+
+const VLQ_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+// Parsed lib files are shared between type checks, parsing them is expensive
+const libSourceFiles = new Map();
+
+let definitions = null;
+
+/**
+ * Returns the TypeScript declarations of the HomeyScript globals.
+ * @returns {String}
+ */
+function getDefinitions() {
+  if (definitions === null) {
+    definitions = fs.readFileSync(DEFINITIONS_PATH, 'utf8');
+  }
+
+  return definitions;
+}
+
+/**
+ * Decodes the `mappings` of a source map into, per generated line, a list of
+ * `[generatedColumn, sourceLine, sourceColumn]` segments. All values are 0-based.
+ * @param {String} mappings
+ * @returns {Array<Array<Number[]>>}
+ */
+function decodeMappings(mappings) {
+  const lines = [];
+  let sourceLine = 0;
+  let sourceColumn = 0;
+
+  for (const line of mappings.split(';')) {
+    const segments = [];
+    let generatedColumn = 0;
+
+    for (const segment of line.split(',')) {
+      if (!segment) continue;
+
+      const values = [];
+      let value = 0;
+      let shift = 0;
+
+      for (const char of segment) {
+        const digit = VLQ_CHARS.indexOf(char);
+        value += (digit & 31) << shift;
+
+        if (digit & 32) {
+          shift += 5;
+        } else {
+          values.push(value & 1 ? -(value >> 1) : value >> 1);
+          value = 0;
+          shift = 0;
+        }
+      }
+
+      generatedColumn += values[0];
+
+      // Segments of length 1 don't map to the source
+      if (values.length >= 4) {
+        sourceLine += values[2];
+        sourceColumn += values[3];
+        segments.push([generatedColumn, sourceLine, sourceColumn]);
+      }
+    }
+
+    lines.push(segments);
+  }
+
+  return lines;
+}
+
+/**
+ * Transpiles the code of a TypeScript HomeyScript to JavaScript.
+ * @param {Object} options
+ * @param {String} options.code
+ * @param {String} options.fileName
+ * @returns {{code: String, map: Array<Array<Number[]>>}}
+ */
+function transpile({ code, fileName }) {
+  const { outputText, sourceMapText } = ts.transpileModule(code, {
+    fileName,
+    compilerOptions: COMPILER_OPTIONS,
+  });
+
+  return {
+    code: outputText.replace(/\n\/\/# sourceMappingURL=.*$/, ''),
+    map: decodeMappings(JSON.parse(sourceMapText).mappings),
+  };
+}
+
+/**
+ * Replaces the `fileName:line:column` positions of the transpiled code in a stack by their TypeScript positions.
+ * @param {Object} options
+ * @param {String} options.stack
+ * @param {String} options.fileName
+ * @param {Array<Array<Number[]>>} options.map The map returned by {@link transpile}
+ * @returns {String}
+ */
+function mapStack({ stack, fileName, map }) {
+  const escapedFileName = fileName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+  return stack.replace(new RegExp(`${escapedFileName}:(\\d+)(?::(\\d+))?`, 'g'), (match, line, column) => {
+    const segments = map[Number(line) - 1];
+    if (!segments || segments.length === 0) return match;
+
+    const generatedColumn = column ? Number(column) - 1 : 0;
+    const segment = segments
+      .filter(([segmentColumn]) => segmentColumn <= generatedColumn)
+      .pop() || segments[0];
+
+    return column
+      ? `${fileName}:${segment[1] + 1}:${segment[2] + 1}`
+      : `${fileName}:${segment[1] + 1}`;
+  });
+}
+
+/**
+ * Type checks the code of a TypeScript HomeyScript against the HomeyScript globals.
+ * @param {Object} options
+ * @param {String} options.code
+ * @param {String} options.fileName
+ * @returns {Array<{severity: String, source: String, message: String, line: Number, column: Number}>}
+ */
+function check({ code, fileName }) {
+  // The code is wrapped in an async function, like it is when it runs, so it can use `await` and `return`
+  const wrappedCode = `(async () => {\n${code}\n})();\n`;
+
+  const host = ts.createCompilerHost(COMPILER_OPTIONS);
+  const { getSourceFile } = host;
+
+  host.getSourceFile = (name, languageVersion, ...args) => {
+    if (name === fileName) {
+      return ts.createSourceFile(name, wrappedCode, languageVersion, true);
+    }
+
+    if (name === DEFINITIONS_FILENAME) {
+      return ts.createSourceFile(name, getDefinitions(), languageVersion, true);
+    }
+
+    if (!libSourceFiles.has(name)) {
+      libSourceFiles.set(name, getSourceFile.call(host, name, languageVersion, ...args));
+    }
+
+    return libSourceFiles.get(name);
+  };
+
+  const program = ts.createProgram([fileName, DEFINITIONS_FILENAME], {
+    ...COMPILER_OPTIONS,
+    noEmit: true,
+  }, host);
+
+  const sourceFile = program.getSourceFile(fileName);
+  const lines = code.split('\n');
+
+  return [
+    ...program.getSyntacticDiagnostics(sourceFile).map(diagnostic => ({ diagnostic, source: 'syntax' })),
+    ...program.getSemanticDiagnostics(sourceFile).map(diagnostic => ({ diagnostic, source: 'type' })),
+  ].map(({ diagnostic, source }) => {
+    const position = sourceFile.getLineAndCharacterOfPosition(diagnostic.start || 0);
+
+    // Correct for the line of the wrapper, errors at the end are reported on the closing line of the wrapper
+    let { line } = position;
+    let column = position.character + 1;
+
+    if (line < 1) {
+      line = 1;
+      column = 1;
+    } else if (line > lines.length) {
+      line = lines.length;
+      column = lines[lines.length - 1].length + 1;
+    }
+
+    return {
+      severity: diagnostic.category === ts.DiagnosticCategory.Error ? 'error' : 'warning',
+      source,
+      message: ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n'),
+      line,
+      column,
+    };
+  });
+}
+
+module.exports = {
+  getDefinitions,
+  transpile,
+  mapStack,
+  check,
+};